@@ -1,4 +1,8 @@
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { issueTokens, verifyRefreshToken } = require('../utils/token');
+const { forgetUser } = require('../Middleware/Auth.middleware');
 require('dotenv').config();
 
 const pool = new Pool({
@@ -9,6 +13,68 @@ const pool = new Pool({
   database: process.env.PGDATABASE,
 });
 
+const SALT_ROUNDS = 10;
+const USER_TYPES = ['admin', 'agent', 'worker'];
+
+// Login throttling (overridable through env)
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const BACKOFF_AFTER = 2;          // failures allowed before delays start
+const MAX_BACKOFF_SECONDS = 60;
+
+// Adds the account-state columns on first use; password is widened to hold bcrypt hashes
+let userSchemaReady = null;
+const ensureUserSchema = () => {
+  if (!userSchemaReady) {
+    userSchemaReady = pool.query(`
+      ALTER TABLE public.user
+        ALTER COLUMN password TYPE TEXT,
+        ADD COLUMN IF NOT EXISTS disabled BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_failed_at TIMESTAMP NULL,
+        ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP NULL;
+
+      CREATE TABLE IF NOT EXISTS public.login_attempts (
+        id BIGSERIAL PRIMARY KEY,
+        username VARCHAR(100),
+        ip VARCHAR(64),
+        user_agent TEXT,
+        success BOOLEAN NOT NULL,
+        reason VARCHAR(30),
+        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON public.login_attempts (ip, attempted_at);
+      CREATE INDEX IF NOT EXISTS login_attempts_username_idx ON public.login_attempts (username, attempted_at);
+    `).catch((err) => {
+      userSchemaReady = null;
+      throw err;
+    });
+  }
+  return userSchemaReady;
+};
+
+// Rows created before hashing was introduced still hold the plaintext password
+const isHashed = (value) => typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value);
+
+const recordAttempt = (req, username, success, reason) =>
+  pool.query(
+    'INSERT INTO public.login_attempts (username, ip, user_agent, success, reason) VALUES ($1, $2, $3, $4, $5)',
+    [username || null, req.ip || null, req.get('user-agent') || null, success, reason]
+  );
+
+// 1s, 2s, 4s ... after the first few failures, capped at MAX_BACKOFF_SECONDS
+const backoffSeconds = (failedAttempts) =>
+  failedAttempts < BACKOFF_AFTER
+    ? 0
+    : Math.min(2 ** (failedAttempts - BACKOFF_AFTER), MAX_BACKOFF_SECONDS);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
 const loginUser = async (req, res) => {
   const { username, password } = req.body;
 
@@ -17,20 +83,145 @@ const loginUser = async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
+    await ensureUserSchema();
+
+    // Per-IP throttle catches password spraying across many usernames
+    const ipFailures = await pool.query(
+      `SELECT COUNT(*)::INT AS failures, MIN(attempted_at) AS oldest
+       FROM public.login_attempts
+       WHERE ip = $1 AND success = FALSE
+         AND attempted_at > NOW() - make_interval(mins => $2::INT)`,
+      [req.ip || null, IP_WINDOW_MINUTES]
+    );
+    if (ipFailures.rows[0].failures >= IP_MAX_FAILURES) {
+      await recordAttempt(req, username, false, 'ip_throttled');
+      const retryAt = new Date(new Date(ipFailures.rows[0].oldest).getTime() + IP_WINDOW_MINUTES * 60000);
+      const retry_after = secondsUntil(retryAt);
+      res.set('Retry-After', String(retry_after));
+      return res.status(429).json({ error: 'Too many failed login attempts from this address', retry_after });
+    }
+
     const result = await pool.query(
-      'SELECT username, type FROM public.user WHERE username = $1 AND password = $2',
-      [username, password]
+      `SELECT username, password, type, disabled, must_change_password, token_version,
+              failed_attempts, last_failed_at, locked_until
+       FROM public.user WHERE username = $1`,
+      [username]
     );
 
     if (result.rows.length === 0) {
+      await recordAttempt(req, username, false, 'unknown_user');
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
     const user = result.rows[0];
+
+    // Claims this attempt in one statement: it is counted as a failure up front (and cleared again on
+    // success) so concurrent requests cannot slip past the lock or the backoff between read and write.
+    // A lock that has run out starts the count again.
+    const claimed = await pool.query(
+      `WITH current AS (
+         SELECT username,
+                (locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP) AS stale,
+                locked_until, last_failed_at,
+                CASE WHEN locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP THEN 0 ELSE failed_attempts END AS failures
+         FROM public.user WHERE username = $1
+         FOR UPDATE
+       )
+       UPDATE public.user u
+       SET failed_attempts = c.failures + 1,
+           last_failed_at = CURRENT_TIMESTAMP,
+           locked_until = CASE WHEN c.stale THEN NULL ELSE u.locked_until END
+       FROM current c
+       WHERE u.username = c.username
+         AND (c.locked_until IS NULL OR c.stale)
+         AND (
+           c.failures < $2 OR c.last_failed_at IS NULL
+           OR c.last_failed_at + make_interval(secs => LEAST(POWER(2, c.failures - $2), $3)) <= CURRENT_TIMESTAMP
+         )
+       RETURNING u.failed_attempts`,
+      [user.username, BACKOFF_AFTER, MAX_BACKOFF_SECONDS]
+    );
+
+    if (!claimed.rows.length) {
+      const state = await pool.query(
+        'SELECT failed_attempts, last_failed_at, locked_until FROM public.user WHERE username = $1',
+        [user.username]
+      );
+      const { failed_attempts, last_failed_at, locked_until } = state.rows[0];
+      if (locked_until && new Date(locked_until) > new Date()) {
+        await recordAttempt(req, username, false, 'locked');
+        const retry_after = secondsUntil(locked_until);
+        res.set('Retry-After', String(retry_after));
+        return res.status(423).json({
+          error: 'Account is temporarily locked after repeated failed logins',
+          locked_until,
+          retry_after,
+        });
+      }
+      await recordAttempt(req, username, false, 'backoff');
+      const nextAllowed = new Date(new Date(last_failed_at).getTime() + backoffSeconds(failed_attempts) * 1000);
+      const retry_after = secondsUntil(nextAllowed);
+      res.set('Retry-After', String(retry_after));
+      return res.status(429).json({ error: 'Too many attempts, please wait before retrying', retry_after });
+    }
+
+    const stored = user.password || '';
+    const valid = isHashed(stored)
+      ? await bcrypt.compare(password, stored)
+      : stored === password;
+
+    if (!valid) {
+      const failed = await pool.query(
+        `UPDATE public.user
+         SET locked_until = CASE
+               WHEN failed_attempts >= $2 THEN CURRENT_TIMESTAMP + make_interval(mins => $3::INT)
+               ELSE locked_until
+             END
+         WHERE username = $1
+         RETURNING failed_attempts, locked_until`,
+        [user.username, MAX_FAILED_ATTEMPTS, LOCKOUT_MINUTES]
+      );
+      await recordAttempt(req, username, false, 'bad_password');
+
+      const { failed_attempts, locked_until } = failed.rows[0];
+      if (failed_attempts >= MAX_FAILED_ATTEMPTS) {
+        return res.status(423).json({
+          error: 'Account is temporarily locked after repeated failed logins',
+          locked_until,
+          retry_after: secondsUntil(locked_until),
+        });
+      }
+      return res.status(401).json({
+        error: 'Invalid username or password',
+        attempts_remaining: MAX_FAILED_ATTEMPTS - failed_attempts,
+      });
+    }
+
+    // The password was right, so the attempt claimed above is not a failure
+    await pool.query(
+      'UPDATE public.user SET failed_attempts = 0, last_failed_at = NULL, locked_until = NULL WHERE username = $1',
+      [user.username]
+    );
+
+    if (user.disabled) {
+      await recordAttempt(req, username, false, 'disabled');
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    // Transparently upgrade legacy plaintext passwords
+    if (!isHashed(stored)) {
+      const hash = await bcrypt.hash(password, SALT_ROUNDS);
+      await pool.query('UPDATE public.user SET password = $1 WHERE username = $2', [hash, user.username]);
+    }
+
+    await recordAttempt(req, username, true, 'ok');
+
     res.status(200).json({
       message: 'Login successful',
       username: user.username,
       type: user.type,
+      must_change_password: user.must_change_password,
+      ...issueTokens(user),
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -45,19 +236,21 @@ const registerUser = async (req, res) => {
     return res.status(400).json({ error: 'All fields are required' });
   }
 
-  if (!['admin', 'agent', 'worker'].includes(type)) {
+  if (!USER_TYPES.includes(type)) {
     return res.status(400).json({ error: 'Invalid user type' });
   }
 
   try {
+    await ensureUserSchema();
     const exists = await pool.query('SELECT 1 FROM public.user WHERE username = $1', [username]);
     if (exists.rows.length > 0) {
       return res.status(409).json({ error: 'Username already exists' });
     }
 
+    const hash = await bcrypt.hash(password, SALT_ROUNDS);
     await pool.query(
       'INSERT INTO public.user (username, password, type) VALUES ($1, $2, $3)',
-      [username, password, type]
+      [username, hash, type]
     );
 
     res.status(201).json({ message: 'User created successfully' });
@@ -67,6 +260,271 @@ const registerUser = async (req, res) => {
   }
 };
 
+const refreshSession = async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refresh_token);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  try {
+    await ensureUserSchema();
+    const result = await pool.query(
+      'SELECT username, type, disabled, must_change_password, token_version FROM public.user WHERE username = $1',
+      [decoded.sub]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+
+    const user = result.rows[0];
+    if (user.disabled) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+    if ((decoded.ver || 0) !== user.token_version) {
+      return res.status(401).json({ error: 'Session has been revoked, please log in again' });
+    }
+
+    res.status(200).json({
+      username: user.username,
+      type: user.type,
+      must_change_password: user.must_change_password,
+      ...issueTokens(user),
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/* ──────────────────────  USER MANAGEMENT (admin)  ────────────────────── */
+const listUsers = async (req, res) => {
+  try {
+    await ensureUserSchema();
+    const result = await pool.query(`
+      SELECT username, type, disabled, must_change_password, updated_at
+      FROM public.user
+      ORDER BY username
+    `);
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const setUserStatus = async (req, res) => {
+  const { username } = req.params;
+  const { disabled } = req.body;
+
+  if (typeof disabled !== 'boolean') {
+    return res.status(400).json({ error: 'disabled must be true or false' });
+  }
+  if (disabled && username === req.user.username) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+
+  try {
+    await ensureUserSchema();
+    const result = await pool.query(
+      `UPDATE public.user
+       SET disabled = $1, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE username = $2
+       RETURNING username, type, disabled`,
+      [disabled, username]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    forgetUser(username);
+    res.status(200).json({ message: disabled ? 'User disabled' : 'User enabled', user: result.rows[0] });
+  } catch (error) {
+    console.error('Set user status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const changeUserRole = async (req, res) => {
+  const { username } = req.params;
+  const { type } = req.body;
+
+  if (!USER_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Invalid user type' });
+  }
+  if (username === req.user.username && type !== 'admin') {
+    return res.status(400).json({ error: 'You cannot remove your own admin role' });
+  }
+
+  try {
+    await ensureUserSchema();
+    const result = await pool.query(
+      `UPDATE public.user
+       SET type = $1, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE username = $2
+       RETURNING username, type, disabled`,
+      [type, username]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    forgetUser(username);
+    res.status(200).json({ message: 'Role updated', user: result.rows[0] });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const resetUserPassword = async (req, res) => {
+  const { username } = req.params;
+  // Admin may set a temporary password; otherwise one is generated and returned once
+  const temporary = req.body.password || crypto.randomBytes(6).toString('base64url');
+
+  try {
+    await ensureUserSchema();
+    const hash = await bcrypt.hash(temporary, SALT_ROUNDS);
+    const result = await pool.query(
+      `UPDATE public.user
+       SET password = $1, must_change_password = TRUE,
+           token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE username = $2
+       RETURNING username`,
+      [hash, username]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    forgetUser(username);
+    res.status(200).json({
+      message: 'Password reset, user must change it at next login',
+      username,
+      temporary_password: temporary,
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Any signed-in user; clears the forced-change flag set by resetUserPassword
+const changeOwnPassword = async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+  if (new_password.length < 6) {
+    return res.status(400).json({ error: 'New password must be at least 6 characters' });
+  }
+
+  try {
+    await ensureUserSchema();
+    const result = await pool.query(
+      'SELECT password FROM public.user WHERE username = $1',
+      [req.user.username]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const stored = result.rows[0].password || '';
+    const valid = isHashed(stored)
+      ? await bcrypt.compare(current_password, stored)
+      : stored === current_password;
+    if (!valid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const hash = await bcrypt.hash(new_password, SALT_ROUNDS);
+    const updated = await pool.query(
+      `UPDATE public.user
+       SET password = $1, must_change_password = FALSE,
+           token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE username = $2
+       RETURNING username, type, token_version`,
+      [hash, req.user.username]
+    );
+    forgetUser(req.user.username);
+
+    res.status(200).json({
+      message: 'Password changed successfully',
+      must_change_password: false,
+      ...issueTokens(updated.rows[0]),
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const unlockUser = async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    await ensureUserSchema();
+    const result = await pool.query(
+      `UPDATE public.user
+       SET failed_attempts = 0, last_failed_at = NULL, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE username = $1
+       RETURNING username`,
+      [username]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(200).json({ message: 'Account unlocked', username });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// GET /api/login-attempts?username=&ip=&success=false&limit=100
+const getLoginAttempts = async (req, res) => {
+  const { username, ip, success } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  try {
+    await ensureUserSchema();
+    const where = [];
+    const params = [];
+    if (username) {
+      params.push(username);
+      where.push(`username = $${params.length}`);
+    }
+    if (ip) {
+      params.push(ip);
+      where.push(`ip = $${params.length}`);
+    }
+    if (success === 'true' || success === 'false') {
+      params.push(success === 'true');
+      where.push(`success = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await pool.query(
+      `SELECT id, username, ip, user_agent, success, reason, attempted_at
+       FROM public.login_attempts
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY attempted_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.status(200).json(result.rows);
+  } catch (error) {
+    console.error('Login attempts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
-  loginUser,registerUser
+  loginUser,registerUser,refreshSession,
+  listUsers,setUserStatus,changeUserRole,resetUserPassword,changeOwnPassword,
+  unlockUser,getLoginAttempts
 };
\ No newline at end of file
@@ -1,5 +1,9 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const ExcelJS = require('exceljs');
+const { isValidId, today, typeKey, typeKeySql } = require('../utils/catalog');
+const { ensureStockSchema, STOCK_MATCHES_PRODUCT, SIGNED_CASES } = require('../utils/stock');
+const { styleHeader, sendWorkbook } = require('../utils/excel');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -9,7 +13,11 @@ const pool = new Pool({
   database: process.env.PGDATABASE,
 });
 
+// Minimum for products without a product-wide reorder level
+const LOW_STOCK_DEFAULT_MIN = parseInt(process.env.LOW_STOCK_DEFAULT_MIN || '3', 10);
+
 exports.getStockAnalysis = async (req, res) => {
+  await ensureStockSchema();
   const client = await pool.connect();
   try {
     // ────────────────────── 1. All individual rows ──────────────────────
@@ -29,7 +37,7 @@ exports.getStockAnalysis = async (req, res) => {
       ORDER BY g.name, s.product_type, s.productname
     `);
 
-    // ────────────────────── 2. Low stock (< 3 cases total) ──────────────────────
+    // ────────────────────── 2. Low stock (below the product's reorder minimum) ──────────────────────
     const lowRes = await client.query(`
       SELECT 
         s.product_type,
@@ -37,13 +45,21 @@ exports.getStockAnalysis = async (req, res) => {
         s.brand,
         COALESCE(b.agent_name, '-') AS agent_name,
         SUM(s.current_cases) AS total_cases,
-        SUM(s.current_cases * s.per_case) AS total_qty
+        SUM(s.current_cases * s.per_case) AS total_qty,
+        COALESCE(MAX(lvl.min_cases), $1) AS min_cases
       FROM public.stock s
       LEFT JOIN public.brand b ON s.brand = b.name
+      LEFT JOIN LATERAL (
+        SELECT r.min_cases
+        FROM public.product_catalog p
+        JOIN public.reorder_levels r ON r.product_id = p.id AND r.godown_id IS NULL
+        WHERE ${STOCK_MATCHES_PRODUCT('s', 'p')}
+        LIMIT 1
+      ) lvl ON TRUE
       GROUP BY s.product_type, s.productname, s.brand, b.agent_name
-      HAVING SUM(s.current_cases) < 3
+      HAVING SUM(s.current_cases) < COALESCE(MAX(lvl.min_cases), $1)
       ORDER BY total_cases ASC
-    `);
+    `, [LOW_STOCK_DEFAULT_MIN]);
 
     // ────────────────────── 3. Godown-wise total cases ──────────────────────
     const godownRes = await client.query(`
@@ -93,4 +109,280 @@ exports.getStockAnalysis = async (req, res) => {
   } finally {
     client.release();
   }
-};
\ No newline at end of file
+};
+
+/* ──────────────────────  STOCK VALUATION  ────────────────────── */
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+const money = (value) => Math.round(value * 100) / 100;
+
+// Per stock line: cases on hand (as of $1 by undoing later history rows), the selling price then in
+// force and the catalog cost price. Cost has no history, so past valuations use today's cost.
+const VALUATION_SQL = `
+  SELECT * FROM (
+    SELECT
+      s.id AS stock_id, g.id AS godown_id, g.name AS godown_name,
+      s.product_type, s.productname, s.brand, s.per_case,
+      (s.current_cases - COALESCE(later.moved, 0))::INT AS cases,
+      p.id AS product_id,
+      COALESCE(hp.price, p.price) AS price,
+      p.cost_price
+    FROM public.stock s
+    JOIN public.godown g ON g.id = s.godown_id
+    LEFT JOIN LATERAL (
+      SELECT SUM(${SIGNED_CASES('h')}) AS moved FROM public.stock_history h
+      WHERE $1::DATE IS NOT NULL AND h.stock_id = s.id AND h.date >= $1::DATE + 1
+    ) later ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT id, price, cost_price FROM public.product_catalog p
+      WHERE ${STOCK_MATCHES_PRODUCT('s', 'p')}
+      LIMIT 1
+    ) p ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT ph.price FROM public.product_price_history ph
+      WHERE $1::DATE IS NOT NULL AND ph.product_id = p.id
+        AND ph.effective_from <= $1::DATE
+        AND (ph.effective_to IS NULL OR ph.effective_to > $1::DATE)
+      ORDER BY ph.effective_from DESC
+      LIMIT 1
+    ) hp ON TRUE
+    WHERE ($2::BIGINT IS NULL OR s.godown_id = $2)
+      AND ($3::TEXT IS NULL OR LOWER(s.brand) = LOWER($3))
+      AND ($4::TEXT IS NULL OR ${typeKeySql('s.product_type')} = $4)
+  ) v
+  WHERE cases <> 0
+  ORDER BY godown_name, product_type, productname`;
+
+const loadValuation = async (query) => {
+  const { as_of = null, godown_id = null, brand = null, product_type = null } = query;
+  if (as_of && !isDate(as_of)) return { error: 'as_of must be YYYY-MM-DD' };
+  if (as_of && as_of > today()) return { error: 'as_of cannot be in the future' };
+  if (godown_id && !isValidId(godown_id)) return { error: 'Invalid godown id' };
+
+  await ensureStockSchema();
+  const result = await pool.query(VALUATION_SQL, [as_of, godown_id, brand, product_type ? typeKey(product_type) : null]);
+
+  const items = result.rows.map(r => {
+    const quantity = r.cases * r.per_case;
+    const price = r.price === null ? null : parseFloat(r.price);
+    const cost = r.cost_price === null ? null : parseFloat(r.cost_price);
+    return {
+      ...r,
+      price,
+      cost_price: cost,
+      quantity,
+      selling_value: price === null ? null : money(quantity * price),
+      cost_value: cost === null ? null : money(quantity * cost),
+    };
+  });
+
+  const group = (key) => {
+    const groups = new Map();
+    for (const i of items) {
+      const name = i[key] || 'Unknown';
+      const g = groups.get(name) || { [key]: name, cases: 0, quantity: 0, selling_value: 0, cost_value: 0, lines_without_cost: 0 };
+      g.cases += i.cases;
+      g.quantity += i.quantity;
+      g.selling_value = money(g.selling_value + (i.selling_value || 0));
+      g.cost_value = money(g.cost_value + (i.cost_value || 0));
+      if (i.cost_value === null) g.lines_without_cost++;
+      groups.set(name, g);
+    }
+    return [...groups.values()].sort((a, b) => b.selling_value - a.selling_value);
+  };
+
+  return {
+    as_of: as_of || today(),
+    filters: { godown_id, brand, product_type },
+    totals: {
+      cases: items.reduce((sum, i) => sum + i.cases, 0),
+      quantity: items.reduce((sum, i) => sum + i.quantity, 0),
+      selling_value: money(items.reduce((sum, i) => sum + (i.selling_value || 0), 0)),
+      cost_value: money(items.reduce((sum, i) => sum + (i.cost_value || 0), 0)),
+      lines_without_price: items.filter(i => i.selling_value === null).length,
+      lines_without_cost: items.filter(i => i.cost_value === null).length,
+    },
+    by_godown: group('godown_name'),
+    by_brand: group('brand'),
+    by_product_type: group('product_type'),
+    items,
+  };
+};
+
+// GET /api/stock-valuation?as_of=YYYY-MM-DD&godown_id=&brand=&product_type=
+exports.getStockValuation = async (req, res) => {
+  try {
+    const valuation = await loadValuation(req.query);
+    if (valuation.error) return res.status(400).json({ message: valuation.error });
+    res.json(valuation);
+  } catch (err) {
+    console.error('StockValuation error:', err);
+    res.status(500).json({ message: 'Failed to value stock' });
+  }
+};
+
+// GET /api/stock-valuation/export — same filters, one sheet per grouping plus the stock lines
+exports.exportStockValuation = async (req, res) => {
+  try {
+    const valuation = await loadValuation(req.query);
+    if (valuation.error) return res.status(400).json({ message: valuation.error });
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Admin System';
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [{ header: 'Stock valuation', key: 'label', width: 28 }, { header: '', key: 'value', width: 20 }];
+    styleHeader(summary);
+    summary.addRows([
+      { label: 'As of', value: valuation.as_of },
+      { label: 'Godown', value: valuation.filters.godown_id || 'All' },
+      { label: 'Brand', value: valuation.filters.brand || 'All' },
+      { label: 'Product type', value: valuation.filters.product_type || 'All' },
+      { label: 'Total cases', value: valuation.totals.cases },
+      { label: 'Total quantity', value: valuation.totals.quantity },
+      { label: 'Value at selling price', value: valuation.totals.selling_value },
+      { label: 'Value at cost', value: valuation.totals.cost_value },
+      { label: 'Lines without a price', value: valuation.totals.lines_without_price },
+      { label: 'Lines without a cost', value: valuation.totals.lines_without_cost },
+    ]);
+
+    const valueColumns = [
+      { header: 'Cases', key: 'cases', width: 10 },
+      { header: 'Quantity', key: 'quantity', width: 12 },
+      { header: 'Value (Selling)', key: 'selling_value', width: 16, style: { numFmt: '#,##0.00' } },
+      { header: 'Value (Cost)', key: 'cost_value', width: 16, style: { numFmt: '#,##0.00' } },
+    ];
+    const addGroupSheet = (title, key, header, rows) => {
+      const sheet = workbook.addWorksheet(title);
+      sheet.columns = [{ header, key, width: 24 }, ...valueColumns, { header: 'Lines Without Cost', key: 'lines_without_cost', width: 18 }];
+      styleHeader(sheet);
+      sheet.addRows(rows);
+    };
+    addGroupSheet('By Godown', 'godown_name', 'Godown', valuation.by_godown);
+    addGroupSheet('By Brand', 'brand', 'Brand', valuation.by_brand);
+    addGroupSheet('By Product Type', 'product_type', 'Product Type', valuation.by_product_type);
+
+    const lines = workbook.addWorksheet('Stock Lines');
+    lines.columns = [
+      { header: 'Godown', key: 'godown_name', width: 18 },
+      { header: 'Product Type', key: 'product_type', width: 16 },
+      { header: 'Product Name', key: 'productname', width: 28 },
+      { header: 'Brand', key: 'brand', width: 16 },
+      { header: 'Per Case', key: 'per_case', width: 10 },
+      { header: 'Selling Price', key: 'price', width: 14, style: { numFmt: '#,##0.00' } },
+      { header: 'Cost Price', key: 'cost_price', width: 14, style: { numFmt: '#,##0.00' } },
+      ...valueColumns,
+    ];
+    styleHeader(lines);
+    lines.addRows(valuation.items);
+
+    await sendWorkbook(res, workbook, `stock_valuation_${valuation.as_of}.xlsx`);
+  } catch (err) {
+    console.error('StockValuation export error:', err);
+    res.status(500).json({ message: 'Failed to export stock valuation' });
+  }
+};
+
+/* ──────────────────────  DEAD AND SLOW-MOVING STOCK  ────────────────────── */
+// Upper bounds (age_days) of the ageing buckets; anything older falls in the last one
+const AGE_BUCKETS = [30, 90, 180, 365];
+const ageBucket = (days) => {
+  let lower = 0;
+  for (const upper of AGE_BUCKETS) {
+    if (days <= upper) return `${lower}-${upper}`;
+    lower = upper + 1;
+  }
+  return `${lower}+`;
+};
+
+// GET /api/dead-stock?days=90&window=90&slow_cover_days=180&godown_id=&brand=&agent_name=
+// A line is dead when nothing was taken out for `days`, slow when what is on hand would last longer
+// than slow_cover_days at the average daily outtake of the last `window` days. Transfers are not outtake.
+// age_days counts from the oldest batch still on hand; stock.date_added is only the last receipt, so it is
+// the fallback for lines kept without batches. A line never taken from is dead once it is `days` old.
+exports.getDeadStock = async (req, res) => {
+  try {
+    const { godown_id = null, brand = null } = req.query;
+    // Agents only see the brands they handle
+    const agent_name = req.user?.type === 'agent' ? req.user.username : (req.query.agent_name || null);
+    const days = parseInt(req.query.days || '90', 10);
+    const window = parseInt(req.query.window || '90', 10);
+    const slowCoverDays = parseInt(req.query.slow_cover_days || '180', 10);
+    if (!(days > 0) || !(window > 0) || !(slowCoverDays > 0)) {
+      return res.status(400).json({ message: 'days, window and slow_cover_days must be positive' });
+    }
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `SELECT
+         s.id AS stock_id, g.id AS godown_id, g.name AS godown_name,
+         s.product_type, s.productname, s.brand, COALESCE(b.agent_name, '-') AS agent_name,
+         s.current_cases, s.per_case, s.date_added,
+         GREATEST(s.last_taken_date, outtake.last_taken) AS last_outtake_date,
+         (CURRENT_DATE - GREATEST(s.last_taken_date, outtake.last_taken)::DATE) AS days_since_outtake,
+         (CURRENT_DATE - COALESCE(oldest.received_at, s.date_added)::DATE) AS age_days,
+         COALESCE(outtake.recent_cases, 0)::INT AS recent_outtake
+       FROM public.stock s
+       JOIN public.godown g ON g.id = s.godown_id
+       LEFT JOIN public.brand b ON s.brand = b.name
+       LEFT JOIN LATERAL (
+         SELECT
+           MAX(h.date) AS last_taken,
+           SUM(h.cases) FILTER (WHERE h.date >= CURRENT_DATE - $4::INT) AS recent_cases
+         FROM public.stock_history h
+         WHERE h.stock_id = s.id AND h.action = 'taken'
+           AND (h.reference IS NULL OR h.reference NOT LIKE 'TR-%')
+       ) outtake ON TRUE
+       LEFT JOIN LATERAL (
+         SELECT MIN(sb.received_at) AS received_at
+         FROM public.stock_batches sb
+         WHERE sb.stock_id = s.id AND sb.cases_remaining > 0
+       ) oldest ON TRUE
+       WHERE s.current_cases > 0
+         AND ($1::BIGINT IS NULL OR s.godown_id = $1)
+         AND ($2::TEXT IS NULL OR LOWER(s.brand) = LOWER($2))
+         AND ($3::TEXT IS NULL OR b.agent_name = $3)
+       ORDER BY days_since_outtake DESC NULLS FIRST, age_days DESC`,
+      [godown_id, brand, agent_name, window]
+    );
+
+    const buckets = new Map();
+    const items = [];
+    for (const r of result.rows) {
+      const bucket = ageBucket(r.age_days ?? 0);
+      const b = buckets.get(bucket) || { bucket, lines: 0, cases: 0 };
+      b.lines++;
+      b.cases += r.current_cases;
+      buckets.set(bucket, b);
+
+      const dailyOuttake = r.recent_outtake / window;
+      const daysOfCover = dailyOuttake > 0 ? Math.round(r.current_cases / dailyOuttake) : null;
+      const dead = r.days_since_outtake === null ? (r.age_days ?? 0) >= days : r.days_since_outtake >= days;
+      const slow = !dead && (daysOfCover === null || daysOfCover > slowCoverDays);
+      if (!dead && !slow) continue;
+
+      items.push({
+        ...r,
+        status: dead ? 'dead' : 'slow',
+        daily_outtake: Math.round(dailyOuttake * 100) / 100,
+        days_of_cover: daysOfCover,
+        age_bucket: bucket,
+      });
+    }
+
+    const order = [...AGE_BUCKETS.map(ageBucket), ageBucket(Infinity)];
+    res.json({
+      days,
+      window,
+      slow_cover_days: slowCoverDays,
+      dead_lines: items.filter(i => i.status === 'dead').length,
+      slow_lines: items.filter(i => i.status === 'slow').length,
+      dead_cases: items.filter(i => i.status === 'dead').reduce((sum, i) => sum + i.current_cases, 0),
+      ageing: order.map(bucket => buckets.get(bucket) || { bucket, lines: 0, cases: 0 }),
+      items,
+    });
+  } catch (err) {
+    console.error('DeadStock error:', err);
+    res.status(500).json({ message: 'Failed to fetch dead stock' });
+  }
+};
@@ -7,6 +7,23 @@ const pool = new Pool({
   database: process.env.PGDATABASE,
 });
 
+// Bills record the agent who raised them so agents only ever see their own
+let billingSchemaReady = null;
+const ensureBillingSchema = () => {
+  if (!billingSchemaReady) {
+    billingSchemaReady = pool.query(
+      'ALTER TABLE public.billings ADD COLUMN IF NOT EXISTS agent_name VARCHAR(100)'
+    ).catch((err) => {
+      billingSchemaReady = null;
+      throw err;
+    });
+  }
+  return billingSchemaReady;
+};
+
+// Agents are limited to their own bills; null for everyone else
+const agentFilter = (req) => (req.user?.type === 'agent' ? req.user.username : null);
+
 const getCompanyInitials = (name) => {
   if (!name) return 'XX';
   return name
@@ -74,6 +91,7 @@ exports.checkBillNoExists = async (req, res) => {
 // Get recent customers (for autocomplete)
 exports.getRecentCustomers = async (req, res) => {
   try {
+    await ensureBillingSchema();
     const result = await pool.query(`
       SELECT DISTINCT ON (customer_name) 
         customer_name, 
@@ -83,9 +101,10 @@ exports.getRecentCustomers = async (req, res) => {
         customer_state_code
       FROM billings 
       WHERE customer_name IS NOT NULL AND customer_name != ''
+        AND ($1::TEXT IS NULL OR agent_name = $1)
       ORDER BY customer_name, created_at DESC
       LIMIT 50
-    `);
+    `, [agentFilter(req)]);
     res.json(result.rows);
   } catch (err) {
     console.error(err);
@@ -95,6 +114,7 @@ exports.getRecentCustomers = async (req, res) => {
 
 // Updated createBooking - Now saves 'type' ('tax' or 'supply')
 exports.createBooking = async (req, res) => {
+  await ensureBillingSchema();
   const client = await pool.connect();
 
   try {
@@ -167,9 +187,9 @@ exports.createBooking = async (req, res) => {
         bill_no, customer_name, customer_address, customer_gstin, customer_place,
         customer_state_code, through, destination, no_of_cases, subtotal, packing_amount,
         extra_amount, cgst_amount, sgst_amount, igst_amount, net_amount, items, company_name,
-        type, created_at
+        type, agent_name, created_at
       ) VALUES (
-        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,NOW()
+        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,NOW()
       )
       RETURNING id, bill_no, created_at, type
     `;
@@ -180,7 +200,8 @@ exports.createBooking = async (req, res) => {
       parseFloat(subtotal), parseFloat(packing_amount), parseFloat(extra_amount),
       parseFloat(cgst_amount), parseFloat(sgst_amount), parseFloat(igst_amount),
       parseFloat(net_amount), JSON.stringify(itemsArray), company_name,
-      bill_type.trim().toLowerCase()  // ← Save 'tax' or 'supply'
+      bill_type.trim().toLowerCase(),  // ← Save 'tax' or 'supply'
+      req.user?.username || null
     ];
 
     const result = await client.query(insertQuery, values);
@@ -203,15 +224,17 @@ exports.createBooking = async (req, res) => {
 // GET ALL BOOKINGS - Now includes 'type'
 exports.getAllBookings = async (req, res) => {
   try {
+    await ensureBillingSchema();
     const result = await pool.query(`
       SELECT 
         id, bill_no, customer_name, customer_address, customer_gstin, 
         customer_place, customer_state_code, through, destination, no_of_cases,
         subtotal, packing_amount, extra_amount, cgst_amount, sgst_amount,
-        igst_amount, net_amount, items, company_name, type, created_at
+        igst_amount, net_amount, items, company_name, type, agent_name, created_at
       FROM public.billings
+      WHERE ($1::TEXT IS NULL OR agent_name = $1)
       ORDER BY created_at DESC
-    `);
+    `, [agentFilter(req)]);
     res.json(result.rows);
   } catch (err) {
     console.error(err);
@@ -223,7 +246,11 @@ exports.getAllBookings = async (req, res) => {
 exports.getBookingById = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query('SELECT * FROM billings WHERE id = $1', [id]);
+    await ensureBillingSchema();
+    const result = await pool.query(
+      'SELECT * FROM billings WHERE id = $1 AND ($2::TEXT IS NULL OR agent_name = $2)',
+      [id, agentFilter(req)]
+    );
     if (!result.rows.length) return res.status(404).json({ message: 'Bill not found' });
 
     res.json(result.rows[0]);
@@ -1,4 +1,8 @@
 const { Pool } = require('pg');
+const {
+  ensureCatalog, typeKey, typeKeySql, isTypeName, resolveProductType, isValidId,
+  recordPriceChange, checkEffectiveDate, ABC_CLASS_SQL
+} = require('../utils/catalog');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -8,29 +12,54 @@ const pool = new Pool({
   database: process.env.PGDATABASE,
 });
 
+// Billing products without a type (the old tproductssstable had none) are filed under this one
+const DEFAULT_PRODUCT_TYPE = 'general';
+
+// Registers the type if needed and returns the stored product_type value
+const productTypeFor = async (db, product_type) => {
+  const wanted = (product_type || DEFAULT_PRODUCT_TYPE).trim();
+  const registered = await resolveProductType(wanted, db);
+  if (registered) return registered;
+  await db.query('INSERT INTO public.products (product_type) VALUES ($1)', [wanted]);
+  return wanted;
+};
+
+// Optional purchase cost; blank clears it
+const costPrice = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+const validCost = (value) => costPrice(value) === null || costPrice(value) >= 0;
+
 exports.addProduct = async (req, res) => {
   try {
-    const { productname, brand, hsn_code, price, per_case } = req.body;
+    const { productname, brand, hsn_code, price, per_case, product_type, cost_price } = req.body;
     if (!productname || !price || !per_case)
       return res.status(400).json({ message: 'Required fields missing' });
+    if (!validCost(cost_price))
+      return res.status(400).json({ message: 'cost_price must be a non-negative number' });
+    if (product_type && !isTypeName(product_type))
+      return res.status(400).json({ message: 'Invalid product type' });
 
+    await ensureCatalog();
+
+    const type = await productTypeFor(pool, product_type);
     const dup = await pool.query(
-      `SELECT id FROM public.tproductssstable 
-       WHERE LOWER(productname) = LOWER($1) AND LOWER(brand) = LOWER($2)`,
-      [productname.trim(), (brand || '').trim()]
+      `SELECT id FROM public.product_catalog
+       WHERE ${typeKeySql('product_type')} = $1 AND LOWER(productname) = LOWER($2) AND LOWER(brand) = LOWER($3)`,
+      [typeKey(type), productname.trim(), (brand || '').trim()]
     );
     if (dup.rows.length) return res.status(400).json({ message: 'Product already exists' });
 
     const result = await pool.query(
-      `INSERT INTO public.tproductssstable 
-       (productname, brand, hsn_code, price, per_case)
-       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      `INSERT INTO public.product_catalog
+       (product_type, productname, brand, hsn_code, price, per_case, cost_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
       [
+        type,
         productname.trim(),
-        brand || null,
+        (brand || '').trim(),
         hsn_code || null,
         parseFloat(price),
-        parseInt(per_case)
+        parseInt(per_case),
+        costPrice(cost_price)
       ]
     );
 
@@ -43,15 +72,19 @@ exports.addProduct = async (req, res) => {
 
 exports.getAllProducts = async (req, res) => {
   try {
+    await ensureCatalog();
     const result = await pool.query(`
-      SELECT 
-        id, 
-        productname, 
-        brand, 
-        hsn_code, 
-        price AS rate_per_box, 
-        per_case
-      FROM public.tproductssstable 
+      SELECT
+        id,
+        productname,
+        brand,
+        hsn_code,
+        price AS rate_per_box,
+        cost_price,
+        per_case,
+        product_type,
+        ${ABC_CLASS_SQL('product_catalog.id')} AS abc_class
+      FROM public.product_catalog
       ORDER BY productname
     `);
     res.json(result.rows);
@@ -66,20 +99,24 @@ exports.searchProducts = async (req, res) => {
   const searchTerm = `%${name?.trim().toLowerCase() || ''}%`;
 
   try {
+    await ensureCatalog();
     const result = await pool.query(`
-      SELECT 
-        id, 
-        productname, 
-        brand, 
-        hsn_code, 
-        price AS rate_per_box, 
-        per_case
-      FROM public.tproductssstable 
-      WHERE LOWER(productname) LIKE $1 
-         OR LOWER(brand) LIKE $1 
+      SELECT
+        id,
+        productname,
+        brand,
+        hsn_code,
+        price AS rate_per_box,
+        cost_price,
+        per_case,
+        product_type,
+        ${ABC_CLASS_SQL('product_catalog.id')} AS abc_class
+      FROM public.product_catalog
+      WHERE LOWER(productname) LIKE $1
+         OR LOWER(brand) LIKE $1
       ORDER BY productname
     `, [searchTerm]);
-    
+
     res.json(result.rows);
   } catch (err) {
     console.error('Search Products Error:', err);
@@ -88,41 +125,86 @@ exports.searchProducts = async (req, res) => {
 };
 
 exports.updateProduct = async (req, res) => {
+  const { id } = req.params;
+  const { productname, brand, hsn_code, price, per_case, product_type, effective_from, cost_price } = req.body;
+
+  if (!productname || !price || !per_case)
+    return res.status(400).json({ message: 'Required fields missing' });
+  if (!validCost(cost_price))
+    return res.status(400).json({ message: 'cost_price must be a non-negative number' });
+  if (product_type && !isTypeName(product_type))
+    return res.status(400).json({ message: 'Invalid product type' });
+
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { productname, brand, hsn_code, price, per_case } = req.body;
+    await ensureCatalog();
+    await client.query('BEGIN');
 
-    if (!productname || !price || !per_case)
-      return res.status(400).json({ message: 'Required fields missing' });
+    const current = await client.query(
+      'SELECT price, cost_price FROM public.product_catalog WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    if (!current.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Product not found' });
+    }
 
-    await pool.query(
-      `UPDATE public.tproductssstable 
-       SET productname = $1, 
-           brand = $2, 
-           hsn_code = $3, 
-           price = $4, 
-           per_case = $5
-       WHERE id = $6`,
+    const newPrice = parseFloat(price);
+    if (parseFloat(current.rows[0].price) !== newPrice) {
+      const dateError = await checkEffectiveDate(client, id, effective_from);
+      if (dateError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: dateError });
+      }
+    }
+
+    const type = product_type ? await productTypeFor(client, product_type) : null;
+    await client.query(
+      `UPDATE public.product_catalog
+       SET productname = $1,
+           brand = $2,
+           hsn_code = $3,
+           price = $4,
+           per_case = $5,
+           product_type = COALESCE($6, product_type),
+           cost_price = $8,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7`,
       [
         productname.trim(),
-        brand || null,
+        (brand || '').trim(),
         hsn_code || null,
-        parseFloat(price),
+        newPrice,
         parseInt(per_case),
-        id
+        type,
+        id,
+        cost_price === undefined ? current.rows[0].cost_price : costPrice(cost_price)
       ]
     );
+    await recordPriceChange(client, id, current.rows[0].price, newPrice, {
+      effectiveFrom: effective_from,
+      changedBy: req.user?.username,
+    });
+
+    await client.query('COMMIT');
     res.json({ message: 'Product updated' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error(err);
     res.status(500).json({ message: 'Update failed' });
+  } finally {
+    client.release();
   }
 };
 
 exports.deleteProduct = async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query(`DELETE FROM public.tproductssstable WHERE id = $1`, [id]);
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid product id' });
+
+    await ensureCatalog();
+    const result = await pool.query(`DELETE FROM public.product_catalog WHERE id = $1 RETURNING id`, [id]);
+    if (!result.rows.length) return res.status(404).json({ message: 'Product not found' });
     res.json({ message: 'Product deleted' });
   } catch (err) {
     console.error(err);
@@ -130,6 +212,163 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
+/* ──────────────────────  LEGACY tproductssstable RECONCILIATION  ────────────────────── */
+// Pairs legacy billing products with catalog products by name + brand (case-insensitive). The legacy
+// table has no product type, so a name + brand held under several types (or listed twice in the legacy
+// table) cannot be paired safely: those pairs are reported as ambiguous and left alone by the merge.
+const loadCatalogDiff = async (db) => {
+  const legacy = await db.query("SELECT to_regclass('public.tproductssstable') AS reg");
+  if (!legacy.rows[0].reg) return null;
+
+  const result = await db.query(`
+    SELECT
+      t.id AS t_id, t.productname AS t_productname, t.brand AS t_brand,
+      t.hsn_code AS t_hsn_code, t.price AS t_price, t.per_case AS t_per_case,
+      c.id AS c_id, c.product_type, c.productname AS c_productname, c.brand AS c_brand,
+      c.hsn_code AS c_hsn_code, c.price AS c_price, c.per_case AS c_per_case
+    FROM public.tproductssstable t
+    FULL OUTER JOIN public.product_catalog c
+      ON LOWER(TRIM(t.productname)) = LOWER(TRIM(c.productname))
+      AND LOWER(TRIM(COALESCE(t.brand, ''))) = LOWER(TRIM(c.brand))
+    ORDER BY COALESCE(t.productname, c.productname)
+  `);
+
+  const diff = { only_in_tproducts: [], only_in_catalog: [], mismatched: [], ambiguous: [], matched: 0 };
+
+  const pairsPerLegacy = new Map();
+  const pairsPerCatalog = new Map();
+  for (const r of result.rows) {
+    if (!r.t_id || !r.c_id) continue;
+    pairsPerLegacy.set(r.t_id, (pairsPerLegacy.get(r.t_id) || 0) + 1);
+    pairsPerCatalog.set(r.c_id, (pairsPerCatalog.get(r.c_id) || 0) + 1);
+  }
+
+  for (const r of result.rows) {
+    const legacyRow = r.t_id && {
+      id: r.t_id, productname: r.t_productname, brand: r.t_brand,
+      hsn_code: r.t_hsn_code, price: parseFloat(r.t_price), per_case: r.t_per_case
+    };
+    const catalogRow = r.c_id && {
+      id: r.c_id, product_type: r.product_type, productname: r.c_productname, brand: r.c_brand,
+      hsn_code: r.c_hsn_code, price: parseFloat(r.c_price), per_case: r.c_per_case
+    };
+
+    if (!catalogRow) { diff.only_in_tproducts.push(legacyRow); continue; }
+    if (!legacyRow) { diff.only_in_catalog.push(catalogRow); continue; }
+    if (pairsPerLegacy.get(r.t_id) > 1 || pairsPerCatalog.get(r.c_id) > 1) {
+      diff.ambiguous.push({ tproduct: legacyRow, catalog: catalogRow });
+      continue;
+    }
+
+    const differences = [];
+    if (legacyRow.price !== catalogRow.price) differences.push('price');
+    if (legacyRow.per_case !== catalogRow.per_case) differences.push('per_case');
+    if ((legacyRow.hsn_code || null) !== (catalogRow.hsn_code || null)) differences.push('hsn_code');
+
+    if (differences.length) diff.mismatched.push({ tproduct: legacyRow, catalog: catalogRow, differences });
+    else diff.matched++;
+  }
+
+  return diff;
+};
+
+// GET /api/binvent/tproducts/reconcile
+exports.reconcileCatalogs = async (req, res) => {
+  try {
+    await ensureCatalog();
+    const diff = await loadCatalogDiff(pool);
+    if (!diff) return res.status(404).json({ message: 'Legacy tproductssstable not found' });
+
+    const merged = await pool.query(
+      'SELECT applied_at FROM public.catalog_migrations WHERE name = $1',
+      ['merge_tproducts']
+    );
+    res.json({
+      merged_at: merged.rows[0]?.applied_at || null,
+      matched: diff.matched,
+      mismatched: diff.mismatched,
+      ambiguous: diff.ambiguous,
+      only_in_tproducts: diff.only_in_tproducts,
+      only_in_catalog: diff.only_in_catalog
+    });
+  } catch (err) {
+    console.error('Reconcile Error:', err);
+    res.status(500).json({ message: 'Failed to reconcile catalogs' });
+  }
+};
+
+// POST /api/binvent/tproducts/merge  { prefer: 'catalog' | 'tproducts', product_type }
+// prefer decides whose price / per_case wins on a mismatch; HSN codes only ever fill gaps from tproducts.
+exports.mergeCatalogs = async (req, res) => {
+  const { prefer = 'catalog', product_type } = req.body;
+  if (!['catalog', 'tproducts'].includes(prefer))
+    return res.status(400).json({ message: "prefer must be 'catalog' or 'tproducts'" });
+
+  await ensureCatalog();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const diff = await loadCatalogDiff(client);
+    if (!diff) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Legacy tproductssstable not found' });
+    }
+
+    let updated = 0;
+    for (const { tproduct, catalog } of diff.mismatched) {
+      const takeLegacy = prefer === 'tproducts';
+      if (takeLegacy) {
+        await recordPriceChange(client, catalog.id, catalog.price, tproduct.price, {
+          source: 'merge',
+          changedBy: req.user?.username,
+        });
+      }
+      await client.query(
+        `UPDATE public.product_catalog
+         SET price = $1, per_case = $2, hsn_code = COALESCE($3, hsn_code), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [
+          takeLegacy ? tproduct.price : catalog.price,
+          takeLegacy ? tproduct.per_case : catalog.per_case,
+          takeLegacy ? tproduct.hsn_code : (catalog.hsn_code || tproduct.hsn_code),
+          catalog.id
+        ]
+      );
+      updated++;
+    }
+
+    let inserted = 0;
+    if (diff.only_in_tproducts.length) {
+      const type = await productTypeFor(client, product_type);
+      for (const t of diff.only_in_tproducts) {
+        const result = await client.query(
+          `INSERT INTO public.product_catalog (product_type, productname, brand, hsn_code, price, per_case)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT DO NOTHING
+           RETURNING id`,
+          [type, t.productname.trim(), (t.brand || '').trim(), t.hsn_code || null, t.price, t.per_case]
+        );
+        inserted += result.rowCount;
+      }
+    }
+
+    await client.query(
+      `INSERT INTO public.catalog_migrations (name) VALUES ('merge_tproducts')
+       ON CONFLICT (name) DO UPDATE SET applied_at = CURRENT_TIMESTAMP`
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Catalogs merged', updated, inserted, skipped_ambiguous: diff.ambiguous.length, prefer });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Merge Error:', err);
+    res.status(500).json({ message: 'Failed to merge catalogs' });
+  } finally {
+    client.release();
+  }
+};
+
 exports.getStates = async (req, res) => {
   try {
     const result = await pool.query('SELECT code, state_name FROM codestate ORDER BY code');
@@ -137,4 +376,4 @@ exports.getStates = async (req, res) => {
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch states' });
   }
-};
\ No newline at end of file
+};
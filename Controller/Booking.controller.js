@@ -1,6 +1,11 @@
 const { Pool } = require('pg');
 const PDFDocument = require('pdfkit');
 const { getNextSequenceNumber } = require('../utils/sequence');
+const { ensureCatalog, typeKeySql, productForStock, priceOn, isValidId, today, ABC_CLASS_SQL } = require('../utils/catalog');
+const {
+  ensureStockSchema, reserveStock, releaseBookingReservations, expireReservations,
+  consumeBatches, recordMovement
+} = require('../utils/stock');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -230,7 +235,7 @@ exports.createBooking = async (req, res) => {
       address,
       gstin,
       lr_number,
-      agent_name = 'DIRECT',
+      agent_name: requestedAgent = 'DIRECT',
       from: fromLoc = 'SIVAKASI',
       to: toLoc,
       through,
@@ -245,23 +250,44 @@ exports.createBooking = async (req, res) => {
       apply_igst = false,
       from_challan = false,
       is_direct_bill = false,
+      price_list_id = null,
     } = req.body;
 
     if (!customer_name || !items.length || !toLoc || !through) {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
+    // Agents always book under their own name so they only ever see their own customers
+    const agent_name = req.user?.type === 'agent' ? req.user.username : requestedAgent;
+
+    if (price_list_id && !isValidId(price_list_id)) {
+      return res.status(400).json({ success: false, message: 'Invalid price list id' });
+    }
+    // Only admins may bill below or above the price in force; the override is recorded on the line
+    if (items.some(item => item.rate_override) && req.user?.type !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only an admin can override the list price' });
+    }
+
     const shouldDeductStock = is_direct_bill === true && !from_challan;
+    // Challan bookings were already deducted by the challan; every other booking holds its cases
+    const shouldReserveStock = !shouldDeductStock && !from_challan;
 
+    await ensureCatalog();
+    await ensureStockSchema();
+    await expireReservations();
     await client.query('BEGIN');
 
     const sequenceNumber = await getNextSequenceNumber();
     const bill_number = `BILL-${sequenceNumber}`;
-    const bill_date = new Date().toISOString().split('T')[0];
+    const bill_date = today();
 
     let subtotal = 0;
     let totalCases = 0;
     const processedItems = [];
+    const reservations = [];
+    // Cases this booking is about to reserve per stock row; reservations are only written after the
+    // loop, so a second line on the same row must see what the earlier lines already claimed
+    const claimed = new Map();
 
     for (const [idx, item] of items.entries()) {
       const {
@@ -272,26 +298,57 @@ exports.createBooking = async (req, res) => {
         per_case,
         discount_percent = 0,
         godown,
-        rate_per_box,
+        rate_per_box: requestedRate,
+        rate_override = false,
       } = item;
 
-      if (!stock_id || !productname || !cases || !per_case || rate_per_box === undefined) {
+      if (!stock_id || !productname || !cases || !per_case) {
         throw new Error(`Invalid item at index ${idx}`);
       }
 
-      if (shouldDeductStock) {
+      // Price valid on the bill date (price list, then price history); a rate sent by the
+      // client is only used when it is flagged as an override or the product is not in the catalog
+      const product = await productForStock(client, stock_id);
+      const list_price = product ? await priceOn(client, product.id, bill_date, price_list_id) : null;
+      const overridden = Boolean(rate_override) && list_price !== null;
+      const rate_per_box = overridden || list_price === null ? requestedRate : list_price;
+      if (rate_per_box === undefined || rate_per_box === null || rate_per_box === '') {
+        throw new Error(`No price found for ${productname}`);
+      }
+
+      if (shouldDeductStock || shouldReserveStock) {
+        // Cases held by other bookings are not available
         const stockRes = await client.query(
-          'SELECT current_cases FROM public.stock WHERE id = $1 FOR UPDATE',
+          'SELECT current_cases - reserved_cases AS available FROM public.stock WHERE id = $1 FOR UPDATE',
           [stock_id]
         );
-        if (stockRes.rows.length === 0 || cases > stockRes.rows[0].current_cases) {
+        const alreadyClaimed = claimed.get(String(stock_id)) || 0;
+        if (stockRes.rows.length === 0 || Number(cases) + alreadyClaimed > stockRes.rows[0].available) {
           throw new Error(`Insufficient stock for ${productname}`);
         }
+      }
 
+      if (shouldReserveStock) {
+        reservations.push({ stockId: stock_id, itemIndex: idx, cases: Number(cases) });
+        claimed.set(String(stock_id), (claimed.get(String(stock_id)) || 0) + Number(cases));
+      }
+
+      if (shouldDeductStock) {
+        const consumed = await consumeBatches(client, stock_id, Number(cases));
+        if (consumed.error) throw new Error(`${productname}: ${consumed.error}`);
         await client.query(
           'UPDATE public.stock SET current_cases = current_cases - $1, taken_cases = taken_cases + $1 WHERE id = $2',
           [cases, stock_id]
         );
+        await recordMovement(client, {
+          stockId: stock_id,
+          action: 'taken',
+          cases: Number(cases),
+          perCase: Number(per_case),
+          reference: bill_number,
+          createdBy: req.user?.username || null,
+          customerName: customer_name,
+        });
       }
 
       const qty = cases * per_case;
@@ -304,12 +361,16 @@ exports.createBooking = async (req, res) => {
 
       processedItems.push({
         s_no: idx + 1,
+        stock_id,
         productname,
         brand: brand || '',
+        product_type: product?.product_type || item.product_type || null,
         cases: Number(cases),
         per_case: Number(per_case),
         quantity: qty,
         rate_per_box: parseFloat(rate_per_box),
+        list_price,
+        rate_overridden_by: overridden ? req.user.username : null,
         discount_percent: parseFloat(discount_percent),
         amount: parseFloat(finalAmt.toFixed(2)),
         godown: godown || stock_from || fromLoc,
@@ -331,11 +392,12 @@ exports.createBooking = async (req, res) => {
     const roundOff = grandTotal - (netTaxable + totalTax);
 
     // Save booking (no pdf_path)
-    await client.query(
+    const bookingRes = await client.query(
       `INSERT INTO public.bookings (
         bill_number, bill_date, customer_name, address, gstin, lr_number, agent_name,
         "from", "to", "through", stock_from, items, total, extra_charges, from_challan
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING id`,
       [
         bill_number, bill_date, customer_name, address || '', gstin || '', lr_number || '',
         agent_name, fromLoc, toLoc, through, stock_from || fromLoc,
@@ -343,12 +405,16 @@ exports.createBooking = async (req, res) => {
         JSON.stringify({
           packing_percent, additional_discount, taxable_value: extraTaxable,
           apply_processing_fee, apply_cgst, apply_sgst, apply_igst,
-          is_direct_bill, from_challan
+          is_direct_bill, from_challan, price_list_id
         }),
         from_challan
       ]
     );
 
+    for (const r of reservations) {
+      await reserveStock(client, { ...r, bookingId: bookingRes.rows[0].id, createdBy: req.user?.username || null });
+    }
+
     // Generate PDF in memory
     const pdfBuffer = await generatePDFBuffer({
       bill_number,
@@ -414,7 +480,7 @@ exports.convertChallanToBill = async (req, res) => {
 
     const sequenceNumber = challan.challan_number.replace('DC-', '');
     const bill_number = `BILL-${sequenceNumber}`;
-    const bill_date = new Date().toISOString().split('T')[0];
+    const bill_date = today();
 
     const processedItems = items.map((item, idx) => ({
       s_no: idx + 1,
@@ -499,8 +565,8 @@ exports.getBookingPDF = async (req, res) => {
         bill_number, bill_date, customer_name, address, gstin, lr_number, agent_name,
         "from", "to", "through", items, extra_charges
       FROM public.bookings 
-      WHERE id = $1
-    `, [id]);
+      WHERE id = $1 AND ($2::TEXT IS NULL OR agent_name = $2)
+    `, [id, req.user?.type === 'agent' ? req.user.username : null]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Bill not found' });
@@ -585,14 +651,16 @@ exports.getBookingPDF = async (req, res) => {
 
 exports.getBookings = async (req, res) => {
   try {
+    const isAgent = req.user?.type === 'agent';
     const result = await pool.query(`
       SELECT 
         id, bill_number, bill_date, customer_name, address, gstin,
         "from", "to", through, lr_number,
         items, created_at
       FROM public.bookings 
+      ${isAgent ? 'WHERE agent_name = $1' : ''}
       ORDER BY created_at DESC
-    `);
+    `, isAgent ? [req.user.username] : []);
     res.json(result.rows);
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch bookings' });
@@ -601,13 +669,15 @@ exports.getBookings = async (req, res) => {
 
 exports.getCustomers = async (req, res) => {
   try {
+    const isAgent = req.user?.type === 'agent';
     const result = await pool.query(`
       SELECT DISTINCT ON (customer_name)
         customer_name, address, gstin, lr_number, agent_name, "from", "to", "through"
       FROM public.bookings
       WHERE customer_name IS NOT NULL AND customer_name != ''
+        ${isAgent ? 'AND agent_name = $1' : ''}
       ORDER BY customer_name, created_at DESC
-    `);
+    `, isAgent ? [req.user.username] : []);
 
     const customers = result.rows.map(row => ({
       label: row.customer_name,
@@ -631,77 +701,54 @@ exports.getCustomers = async (req, res) => {
 };
 
 exports.searchProductsGlobal = async (req, res) => {
-  const { name } = req.query;
+  const { name = '' } = req.query;
   const searchTerm = `%${name.trim().toLowerCase()}%`;
 
   try {
-    // Get all godowns
-    const godownsRes = await pool.query(`SELECT id, name FROM public.godown`);
-    const godowns = godownsRes.rows;
-
-    const allResults = [];
-
-    for (const godown of godowns) {
-      const godownId = godown.id;
-
-      // Get product types in this godown
-      const typesRes = await pool.query(`
-        SELECT DISTINCT product_type
-        FROM public.stock 
-        WHERE godown_id = $1 AND current_cases > 0
-          AND (LOWER(productname) LIKE $2 OR LOWER(brand) LIKE $2)
-      `, [godownId, searchTerm]);
-
-      if (typesRes.rows.length === 0) continue;
-
-      const productTypes = typesRes.rows.map(r => r.product_type);
-      let joins = '';
-      const params = [godownId, searchTerm];
-      let idx = 3;
-
-      productTypes.forEach(type => {
-        const table = type.toLowerCase().replace(/\s+/g, '_');
-        joins += `
-          LEFT JOIN public."${table}" p${idx}
-            ON LOWER(s.productname) = LOWER(p${idx}.productname)
-            AND LOWER(s.brand) = LOWER(p${idx}.brand)
-        `;
-        idx++;
-      });
-
-      const finalQuery = `
-        SELECT 
-          s.id,
-          s.product_type,
-          s.productname,
-          s.brand,
-          s.per_case,
-          s.current_cases,
-          COALESCE(
-            ${productTypes.map((_, i) => `CAST(p${i + 3}.price AS NUMERIC)`).join(', ')}, 
-            0
-          )::NUMERIC AS rate_per_box,
-          $1::INTEGER AS godown_id,
-          '${godown.name}' AS godown_name
-        FROM public.stock s
-        ${joins}
-        WHERE s.godown_id = $1 
-          AND s.current_cases > 0
-          AND (LOWER(s.productname) LIKE $2 OR LOWER(s.brand) LIKE $2)
-        ORDER BY s.product_type, s.productname
-      `;
-
-      const result = await pool.query(finalQuery, params);
-      allResults.push(...result.rows);
-    }
+    await ensureCatalog();
+    await ensureStockSchema();
+    const result = await pool.query(`
+      SELECT 
+        s.id,
+        s.product_type,
+        s.productname,
+        s.brand,
+        s.per_case,
+        s.current_cases,
+        s.reserved_cases,
+        s.current_cases - s.reserved_cases AS available_cases,
+        COALESCE(p.price, 0)::NUMERIC AS rate_per_box,
+        ${ABC_CLASS_SQL('p.id')} AS abc_class,
+        g.id AS godown_id,
+        g.name AS godown_name
+      FROM public.stock s
+      JOIN public.godown g ON s.godown_id = g.id
+      LEFT JOIN public.product_catalog p
+        ON ${typeKeySql('p.product_type')} = ${typeKeySql('s.product_type')}
+        AND LOWER(s.productname) = LOWER(p.productname)
+        AND LOWER(s.brand) = LOWER(p.brand)
+      WHERE s.current_cases > 0
+        AND (LOWER(s.productname) LIKE $1 OR LOWER(s.brand) LIKE $1)
+      ORDER BY g.name, s.product_type, s.productname
+    `, [searchTerm]);
 
-    res.json(allResults);
+    res.json(result.rows);
   } catch (err) {
     console.error('searchProductsGlobal:', err.message);
     res.status(500).json({ message: 'Search failed' });
   }
 };
 
+// How a booking holds its stock, fixed when it was created: a direct bill deducted it at once, a bill
+// made from a challan was deducted by the challan, and every other booking reserves it until dispatch
+const stockMode = (booking) => {
+  const extra = typeof booking.extra_charges === 'string'
+    ? JSON.parse(booking.extra_charges || '{}')
+    : (booking.extra_charges || {});
+  if (booking.from_challan || extra.from_challan) return 'challan';
+  return extra.is_direct_bill === true ? 'direct' : 'reserved';
+};
+
 exports.editBooking = async (req, res) => {
   const client = await pool.connect();
   const { id } = req.params;
@@ -722,35 +769,54 @@ exports.editBooking = async (req, res) => {
   } = req.body;
 
   try {
+    await ensureStockSchema();
     await client.query('BEGIN');
 
     // 1. Get original booking
     const origRes = await client.query(
-      'SELECT items, pdf_path FROM public.bookings WHERE id = $1 FOR UPDATE',
+      'SELECT items, pdf_path, bill_number, extra_charges, from_challan FROM public.bookings WHERE id = $1 FOR UPDATE',
       [id]
     );
     if (origRes.rows.length === 0) throw new Error('Booking not found');
     const original = origRes.rows[0];
 
     const oldItems = Array.isArray(original.items) ? original.items : [];
+    const mode = stockMode(original);
 
-    // 2. Restock old items
-    for (const item of oldItems) {
-      const { id: stock_id, cases } = item;
-      if (!stock_id || !cases) continue;
+    if (mode === 'direct' && oldItems.some(item => !item.stock_id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'This bill does not record its stock lines; cancel it and bill again instead' });
+    }
+    if (mode === 'reserved') {
+      const dispatched = await client.query('SELECT 1 FROM public.dispatch_logs WHERE booking_id = $1 LIMIT 1', [id]);
+      if (dispatched.rows.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'Cases have already been dispatched for this booking; it can no longer be edited' });
+      }
+      // Reserved again below for the edited items
+      await releaseBookingReservations(client, id);
+    }
 
-      await client.query(
-        'UPDATE public.stock SET current_cases = current_cases + $1, taken_cases = taken_cases - $1 WHERE id = $2',
-        [cases, stock_id]
-      );
-      await client.query(
-        `INSERT INTO public.stock_history (stock_id, action, cases, per_case_total, date, customer_name) 
-         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)`,
-        [stock_id, 'added', cases, cases * (item.per_case || 1), customer_name]
-      );
+    // 2. A direct bill puts back what it took; reserved and challan bookings never took anything
+    if (mode === 'direct') {
+      for (const item of oldItems) {
+        await client.query(
+          'UPDATE public.stock SET current_cases = current_cases + $1, taken_cases = GREATEST(taken_cases - $1, 0) WHERE id = $2',
+          [item.cases, item.stock_id]
+        );
+        await recordMovement(client, {
+          stockId: item.stock_id,
+          action: 'added',
+          cases: Number(item.cases),
+          perCase: Number(item.per_case) || 1,
+          reference: original.bill_number,
+          createdBy: req.user?.username || null,
+          customerName: customer_name,
+        });
+      }
     }
 
-    // 3. Process new items (deduct stock)
+    // 3. Process new items: deducted for a direct bill, reserved otherwise (challan stock moved with the challan)
     let subtotal = 0;
     let totalCases = 0;
     const processedItems = [];
@@ -771,12 +837,14 @@ exports.editBooking = async (req, res) => {
         throw new Error(`Invalid item at index ${idx}`);
       }
 
+      // This booking's own hold was given back above, so what is left is held by others. Reservations
+      // are written as each line is checked, so later lines on the same row see them.
       const stockCheck = await client.query(
-        'SELECT current_cases FROM public.stock WHERE id = $1 FOR UPDATE',
+        'SELECT current_cases - reserved_cases AS available, product_type FROM public.stock WHERE id = $1 FOR UPDATE',
         [stock_id]
       );
       if (stockCheck.rows.length === 0) throw new Error(`Stock not found: ${stock_id}`);
-      if (cases > stockCheck.rows[0].current_cases) {
+      if (mode !== 'challan' && cases > stockCheck.rows[0].available) {
         throw new Error(`Not enough stock: ${productname}`);
       }
 
@@ -788,21 +856,32 @@ exports.editBooking = async (req, res) => {
       subtotal += finalAmt;
       totalCases += cases;
 
-      // Deduct stock
-      await client.query(
-        'UPDATE public.stock SET current_cases = current_cases - $1, taken_cases = taken_cases + $1, last_taken_date = CURRENT_TIMESTAMP WHERE id = $2',
-        [cases, stock_id]
-      );
-      await client.query(
-        `INSERT INTO public.stock_history (stock_id, action, cases, per_case_total, date, customer_name) 
-         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)`,
-        [stock_id, 'taken', cases, qty, customer_name]
-      );
+      if (mode === 'direct') {
+        const consumed = await consumeBatches(client, stock_id, Number(cases));
+        if (consumed.error) throw new Error(`${productname}: ${consumed.error}`);
+        await client.query(
+          'UPDATE public.stock SET current_cases = current_cases - $1, taken_cases = taken_cases + $1, last_taken_date = CURRENT_TIMESTAMP WHERE id = $2',
+          [cases, stock_id]
+        );
+        await recordMovement(client, {
+          stockId: stock_id,
+          action: 'taken',
+          cases: Number(cases),
+          perCase: Number(per_case),
+          reference: original.bill_number,
+          createdBy: req.user?.username || null,
+          customerName: customer_name,
+        });
+      } else if (mode === 'reserved') {
+        await reserveStock(client, { stockId: stock_id, bookingId: id, itemIndex: idx, cases: Number(cases), createdBy: req.user?.username || null });
+      }
 
       processedItems.push({
         s_no: idx + 1,
+        stock_id,
         productname: productname || '',
         brand: brand || '',
+        product_type: stockCheck.rows[0].product_type,
         cases: Number(cases),
         per_case: Number(per_case),
         quantity: Number(qty),
@@ -868,31 +947,41 @@ exports.deleteBooking = async (req, res) => {
   const { id } = req.params;
 
   try {
+    await ensureStockSchema();
     await client.query('BEGIN');
 
     const bookingRes = await client.query(
-      'SELECT items, customer_name FROM public.bookings WHERE id = $1 FOR UPDATE',
+      'SELECT items, customer_name, bill_number, extra_charges, from_challan FROM public.bookings WHERE id = $1 FOR UPDATE',
       [id]
     );
     if (bookingRes.rows.length === 0) throw new Error('Booking not found');
 
-    const { items, customer_name } = bookingRes.rows[0];
-    const parsedItems = JSON.parse(items);
+    const { items, customer_name, bill_number } = bookingRes.rows[0];
+    // items is jsonb, so pg usually hands back an array already
+    const parsedItems = typeof items === 'string' ? JSON.parse(items) : (items || []);
 
-    // Restock each item
-    for (const item of parsedItems) {
-      const { id: stock_id, cases, per_case } = item;
-      if (!stock_id || !cases) continue;
+    await releaseBookingReservations(client, id);
 
-      await client.query(
-        'UPDATE public.stock SET current_cases = current_cases + $1, taken_cases = taken_cases - $1 WHERE id = $2',
-        [cases, stock_id]
-      );
-      await client.query(
-        `INSERT INTO public.stock_history (stock_id, action, cases, per_case_total, date, customer_name) 
-         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)`,
-        [stock_id, 'added', cases, cases * per_case, customer_name || 'DELETED']
-      );
+    // Only a direct bill took stock when it was made; put it back (older bills did not record stock_id)
+    if (stockMode(bookingRes.rows[0]) === 'direct') {
+      for (const item of parsedItems) {
+        const { stock_id, cases, per_case } = item;
+        if (!stock_id || !cases) continue;
+
+        await client.query(
+          'UPDATE public.stock SET current_cases = current_cases + $1, taken_cases = GREATEST(taken_cases - $1, 0) WHERE id = $2',
+          [cases, stock_id]
+        );
+        await recordMovement(client, {
+          stockId: stock_id,
+          action: 'added',
+          cases: Number(cases),
+          perCase: Number(per_case) || 1,
+          reference: bill_number,
+          createdBy: req.user?.username || null,
+          customerName: customer_name || 'DELETED',
+        });
+      }
     }
 
     await client.query('DELETE FROM public.bookings WHERE id = $1', [id]);
@@ -936,7 +1025,7 @@ exports.convertChallanToBill = async (req, res) => {
     // Generate BILL number
     const sequenceNumber = challan.challan_number.replace('DC-', ''); // e.g., "5"
     const bill_number = `BILL-${sequenceNumber}`;
-    const bill_date = new Date().toISOString().split('T')[0];
+    const bill_date = today();
 
     // Prepare items with serial no + amount
     const itemsWithSerial = items.map((item, idx) => ({
@@ -998,4 +1087,54 @@ exports.convertChallanToBill = async (req, res) => {
   } finally {
     client.release();
   }
-};
\ No newline at end of file
+};
+/* ──────────────────────  RESERVATIONS  ────────────────────── */
+// GET /api/reservations?booking_id=&status=active
+exports.getReservations = async (req, res) => {
+  try {
+    const { booking_id, status } = req.query;
+    if (booking_id && !isValidId(booking_id)) return res.status(400).json({ message: 'Invalid booking id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `SELECT
+         r.*, b.bill_number, b.customer_name, b.agent_name,
+         s.product_type, s.productname, s.brand, g.name AS godown_name
+       FROM public.stock_reservations r
+       JOIN public.stock s ON s.id = r.stock_id
+       JOIN public.godown g ON g.id = s.godown_id
+       LEFT JOIN public.bookings b ON b.id = r.booking_id
+       WHERE ($1::BIGINT IS NULL OR r.booking_id = $1)
+         AND ($2::TEXT IS NULL OR r.status = $2)
+         AND ($3::TEXT IS NULL OR b.agent_name = $3)
+       ORDER BY r.created_at DESC
+       LIMIT 500`,
+      [booking_id || null, status || null, req.user?.type === 'agent' ? req.user.username : null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('getReservations:', err.message);
+    res.status(500).json({ message: 'Failed to fetch reservations' });
+  }
+};
+
+// POST /api/booking/:id/release — cancels what a booking still holds without touching the booking
+exports.releaseReservations = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid booking id' });
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const released = await releaseBookingReservations(client, id);
+    await client.query('COMMIT');
+    res.json({ message: 'Reservations released', released_cases: released });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('releaseReservations:', err.message);
+    res.status(500).json({ message: 'Failed to release reservations' });
+  } finally {
+    client.release();
+  }
+};
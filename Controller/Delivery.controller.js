@@ -2,8 +2,10 @@
 const { Pool } = require('pg');
 const pool = new Pool({ /* your config */ });
 const { getNextSequenceNumber } = require('../utils/sequence');
+const { ensureStockSchema, refreshStockAlerts, consumeBatches } = require('../utils/stock');
 
 exports.createDeliveryChallan = async (req, res) => {
+  await ensureStockSchema();
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -13,7 +15,8 @@ exports.createDeliveryChallan = async (req, res) => {
       from = 'SIVAKASI', to, through, items
     } = req.body;
 
-    const user = req.body.created_by || 'Admin';
+    // Agents' challans are filed under their own name, which is what scopes the listings below
+    const user = req.user?.type === 'agent' ? req.user.username : (req.body.created_by || 'Admin');
     const sequenceNumber = await getNextSequenceNumber();
     const challan_number = `DC-${sequenceNumber}`;
 
@@ -28,9 +31,10 @@ exports.createDeliveryChallan = async (req, res) => {
 
       // ---- 1. Fetch the current price (rate_per_box) from the dynamic table ----
       const priceQuery = `
-        SELECT per_case
+        SELECT per_case, current_cases - reserved_cases AS available
         FROM public.stock 
         WHERE id = $1
+        FOR UPDATE
       `;
 
       const priceRes = await client.query(priceQuery, [id]);
@@ -39,9 +43,16 @@ exports.createDeliveryChallan = async (req, res) => {
         throw new Error(`Item id ${id} not found in table public.${tableName}`);
       }
 
+      // Cases held by bookings are not available
+      if (Number(cases) > priceRes.rows[0].available) {
+        throw new Error(`Insufficient stock for item id ${id}`);
+      }
+
       const rate_per_box = per_case
 
       // ---- 2. Reduce stock (still using your central stock table) ----
+      const consumed = await consumeBatches(client, id, Number(cases));
+      if (consumed.error) throw new Error(`Item id ${id}: ${consumed.error}`);
       await client.query(
         `UPDATE stock 
          SET current_cases = current_cases - $1,
@@ -53,10 +64,11 @@ exports.createDeliveryChallan = async (req, res) => {
       // ---- 3. Log stock history ----
       await client.query(
         `INSERT INTO stock_history 
-         (stock_id, action, cases, per_case_total, date, customer_name)
-         VALUES ($1, $2, $3, $4, NOW(), $5)`,
-        [id, 'taken', cases, cases * per_case, name]
+         (stock_id, action, cases, per_case_total, date, customer_name, reference)
+         VALUES ($1, $2, $3, $4, NOW(), $5, $6)`,
+        [id, 'taken', cases, cases * per_case, name, challan_number]
       );
+      await refreshStockAlerts(client, [id]);
 
       // ---- 4. Keep the rate inside the item for the delivery record ----
       itemsWithRate.push({
@@ -94,8 +106,9 @@ exports.getPendingChallans = async (req, res) => {
       SELECT id, challan_number, customer_name, "to", created_at, created_by 
       FROM delivery 
       WHERE converted_to_bill = FALSE 
+        AND ($1::TEXT IS NULL OR created_by = $1)
       ORDER BY created_at DESC
-    `);
+    `, [req.user?.type === 'agent' ? req.user.username : null]);
     res.json(result.rows);
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch pending challans' });
@@ -105,7 +118,10 @@ exports.getPendingChallans = async (req, res) => {
 exports.getChallanById = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query(`SELECT * FROM delivery WHERE id = $1`, [id]);
+    const result = await pool.query(
+      `SELECT * FROM delivery WHERE id = $1 AND ($2::TEXT IS NULL OR created_by = $2)`,
+      [id, req.user?.type === 'agent' ? req.user.username : null]
+    );
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Challan not found' });
     }
@@ -1,5 +1,12 @@
 const { Pool } = require('pg');
 const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { ensureCatalog, typeKey, typeKeySql, resolveProductType, isValidId, ABC_CLASS_SQL } = require('../utils/catalog');
+const { readSheetRows } = require('../utils/excel');
+const {
+  ensureStockSchema, recordMovement, addToStockRow,
+  checkBatch, addToBatch, consumeBatches, ADJUSTMENT_REASONS
+} = require('../utils/stock');
 const pool = new Pool({
   user: process.env.PGUSER,
   password: process.env.PGPASSWORD,
@@ -7,13 +14,57 @@ const pool = new Pool({
   port: process.env.PGPORT,
   database: process.env.PGDATABASE,
 });
+
+// Licence / capacity / in-charge columns that addGodown and editGodown accept
+const GODOWN_DETAIL_FIELDS = ['address', 'capacity_cases', 'licence_no', 'licence_expiry', 'incharge_name', 'incharge_phone'];
+
+const checkGodownDetails = (body) => {
+  const { capacity_cases, licence_expiry } = body;
+  if (capacity_cases !== undefined && capacity_cases !== null && capacity_cases !== '') {
+    if (!Number.isInteger(Number(capacity_cases)) || Number(capacity_cases) < 0) return 'capacity_cases must be a whole number of cases';
+  }
+  if (licence_expiry && (!/^\d{4}-\d{2}-\d{2}$/.test(licence_expiry) || isNaN(new Date(licence_expiry).getTime()))) {
+    return 'licence_expiry must be YYYY-MM-DD';
+  }
+  return null;
+};
+
+// Empty strings clear a detail
+const godownDetailValue = (field, value) => {
+  if (value === '' || value === undefined || value === null) return null;
+  return field === 'capacity_cases' ? Number(value) : String(value).trim();
+};
+
+// Warning (not an error) when a godown now holds more cases than its capacity
+const capacityWarning = async (db, godownId) => {
+  const result = await db.query(
+    `SELECT g.name, g.capacity_cases, COALESCE(SUM(s.current_cases), 0)::INT AS total_cases
+     FROM public.godown g
+     LEFT JOIN public.stock s ON s.godown_id = g.id
+     WHERE g.id = $1
+     GROUP BY g.id`,
+    [godownId]
+  );
+  const g = result.rows[0];
+  if (!g || g.capacity_cases === null || g.total_cases <= g.capacity_cases) return null;
+  return {
+    godown_id: Number(godownId),
+    capacity_cases: g.capacity_cases,
+    total_cases: g.total_cases,
+    message: `Godown ${g.name} holds ${g.total_cases} cases, over its capacity of ${g.capacity_cases}`
+  };
+};
+
 exports.addGodown = async (req, res) => {
   try {
     const { name } = req.body;
     if (!name) {
       return res.status(400).json({ message: 'Godown name is required' });
     }
+    const detailError = checkGodownDetails(req.body);
+    if (detailError) return res.status(400).json({ message: detailError });
     const formattedName = name.toLowerCase().replace(/\s+/g, '_');
+    await ensureStockSchema();
     await pool.query(`
       CREATE TABLE IF NOT EXISTS public.godown (
         id BIGSERIAL PRIMARY KEY,
@@ -25,8 +76,12 @@ exports.addGodown = async (req, res) => {
     if (checkResult.rows.length > 0) {
       return res.status(400).json({ message: 'Godown already exists' });
     }
-    const insertQuery = 'INSERT INTO public.godown (name) VALUES ($1) RETURNING id';
-    const result = await pool.query(insertQuery, [formattedName]);
+    const insertQuery = `INSERT INTO public.godown (name, ${GODOWN_DETAIL_FIELDS.join(', ')})
+      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`;
+    const result = await pool.query(insertQuery, [
+      formattedName,
+      ...GODOWN_DETAIL_FIELDS.map(f => godownDetailValue(f, req.body[f]))
+    ]);
     res.status(201).json({ message: 'Godown created successfully', id: result.rows[0].id });
   } catch (err) {
     console.error('Error in addGodown:', err.message);
@@ -35,7 +90,15 @@ exports.addGodown = async (req, res) => {
 };
 exports.getGodowns = async (req, res) => {
   try {
-    const godownsResult = await pool.query('SELECT id, name FROM public.godown ORDER BY name');
+    await ensureStockSchema();
+    const godownsResult = await pool.query(
+      `SELECT id, name, address, capacity_cases, licence_no, licence_expiry::TEXT AS licence_expiry,
+              incharge_name, incharge_phone, archived_at
+       FROM public.godown
+       WHERE archived_at IS NULL OR $1::BOOLEAN
+       ORDER BY name`,
+      [req.query.include_archived === 'true']
+    );
     const godowns = godownsResult.rows;
     for (let godown of godowns) {
       const stockResult = await pool.query(
@@ -64,9 +127,35 @@ exports.getGodowns = async (req, res) => {
     res.status(500).json({ message: 'Failed to fetch godowns' });
   }
 };
+// Deleting cascades to stock and stock_history, so it is only allowed for a godown that never held
+// anything; anything else has to be archived instead.
 exports.deleteGodown = async (req, res) => {
   try {
     const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const usage = await pool.query(
+      `SELECT
+         COALESCE(SUM(s.current_cases), 0)::INT AS cases,
+         EXISTS (
+           SELECT 1 FROM public.stock_history h JOIN public.stock hs ON hs.id = h.stock_id
+           WHERE hs.godown_id = $1
+         ) AS has_history
+       FROM public.stock s WHERE s.godown_id = $1`,
+      [id]
+    );
+    const { cases, has_history } = usage.rows[0];
+    if (cases > 0) {
+      return res.status(409).json({
+        message: `Godown still holds ${cases} cases; transfer them out or archive the godown with a transfer`,
+        cases
+      });
+    }
+    if (has_history) {
+      return res.status(409).json({ message: 'Godown has stock history; archive it instead of deleting' });
+    }
+
     const result = await pool.query('DELETE FROM public.godown WHERE id = $1 RETURNING id', [id]);
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Godown not found' });
@@ -77,12 +166,118 @@ exports.deleteGodown = async (req, res) => {
     res.status(500).json({ message: 'Failed to delete godown' });
   }
 };
+
+// POST /api/godowns/:id/archive { transfer_to_godown_id? }
+// Hides the godown from the godown lists and keeps its history. Remaining stock blocks archiving
+// unless transfer_to_godown_id is given, in which case it is all moved there first (one TR- transfer).
+exports.archiveGodown = async (req, res) => {
+  const { id } = req.params;
+  const { transfer_to_godown_id } = req.body || {};
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid godown id' });
+  if (transfer_to_godown_id !== undefined && !isValidId(transfer_to_godown_id)) {
+    return res.status(400).json({ message: 'Invalid transfer_to_godown_id' });
+  }
+  if (String(transfer_to_godown_id) === String(id)) {
+    return res.status(400).json({ message: 'Cannot transfer stock to the godown being archived' });
+  }
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const godown = await client.query('SELECT id, name, archived_at FROM public.godown WHERE id = $1 FOR UPDATE', [id]);
+    if (!godown.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Godown not found' });
+    }
+    if (godown.rows[0].archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Godown is already archived' });
+    }
+
+    const remaining = await client.query(
+      'SELECT id AS stock_id, current_cases AS cases FROM public.stock WHERE godown_id = $1 AND current_cases > 0',
+      [id]
+    );
+    let transfer = null;
+    if (remaining.rows.length) {
+      if (!transfer_to_godown_id) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: 'Godown still holds stock; pass transfer_to_godown_id to move it while archiving',
+          lines: remaining.rows.length
+        });
+      }
+      const moved = await moveStock(client, {
+        fromGodownId: id,
+        toGodownId: transfer_to_godown_id,
+        items: remaining.rows,
+        notes: `Closing godown ${godown.rows[0].name}`,
+        includeReserved: true,
+        createdBy: req.user?.username || null
+      });
+      if (moved.error) {
+        await client.query('ROLLBACK');
+        return res.status(moved.status).json(moved.error);
+      }
+      // Bookings holding cases here now hold them at the destination
+      for (const line of moved.lines) {
+        const held = await client.query(
+          `UPDATE public.stock_reservations SET stock_id = $1
+           WHERE stock_id = $2 AND status = 'active'
+           RETURNING remaining_cases`,
+          [line.to_stock_id, line.from_stock_id]
+        );
+        const cases = held.rows.reduce((sum, r) => sum + r.remaining_cases, 0);
+        if (cases) {
+          await client.query('UPDATE public.stock SET reserved_cases = GREATEST(reserved_cases - $1, 0) WHERE id = $2', [cases, line.from_stock_id]);
+          await client.query('UPDATE public.stock SET reserved_cases = reserved_cases + $1 WHERE id = $2', [cases, line.to_stock_id]);
+        }
+      }
+      transfer = { id: moved.transferId, transfer_number: moved.reference, items: moved.lines };
+    }
+
+    await client.query(
+      'UPDATE public.godown SET archived_at = CURRENT_TIMESTAMP, archived_by = $1 WHERE id = $2',
+      [req.user?.username || null, id]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Godown archived', transfer });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in archiveGodown:', err.message);
+    res.status(500).json({ message: 'Failed to archive godown' });
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/godowns/:id/restore
+exports.restoreGodown = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      'UPDATE public.godown SET archived_at = NULL, archived_by = NULL WHERE id = $1 AND archived_at IS NOT NULL RETURNING id',
+      [id]
+    );
+    if (!result.rows.length) return res.status(404).json({ message: 'No archived godown with this id' });
+    res.json({ message: 'Godown restored' });
+  } catch (err) {
+    console.error('Error in restoreGodown:', err.message);
+    res.status(500).json({ message: 'Failed to restore godown' });
+  }
+};
 exports.addStockToGodown = async (req, res) => {
+  await ensureStockSchema();
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    const { godown_id, product_type, productname, brand, cases_added } = req.body;
+    const { godown_id, product_type, productname, brand, cases_added, batch_no, mfg_date } = req.body;
     if (!godown_id || !product_type || !productname || !brand || !cases_added) {
       return res.status(400).json({ message: 'All fields are required' });
     }
@@ -91,21 +286,32 @@ exports.addStockToGodown = async (req, res) => {
     if (isNaN(casesAddedNum) || casesAddedNum <= 0) {
       return res.status(400).json({ message: 'Cases must be a positive number' });
     }
+    const batchError = checkBatch({ batch_no, mfg_date });
+    if (batchError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: batchError });
+    }
 
     // Validate godown
-    const godownCheck = await client.query('SELECT id FROM public.godown WHERE id = $1', [godown_id]);
+    const godownCheck = await client.query('SELECT id FROM public.godown WHERE id = $1 AND archived_at IS NULL', [godown_id]);
     if (godownCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Godown not found' });
     }
 
-    // Validate product in its type table
-    const tableName = product_type.toLowerCase().replace(/\s+/g, '_');
+    // Validate product against the catalog
+    await ensureCatalog();
+    if (!(await resolveProductType(product_type, client))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Unknown product type' });
+    }
     const productCheck = await client.query(
-      `SELECT id, per_case FROM public."${tableName}" WHERE productname = $1 AND brand = $2`,
-      [productname, brand]
+      `SELECT id, per_case FROM public.product_catalog
+       WHERE ${typeKeySql('product_type')} = $1 AND productname = $2 AND brand = $3`,
+      [typeKey(product_type), productname, brand]
     );
     if (productCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Product not found in type table' });
+      return res.status(404).json({ message: 'Product not found in catalog' });
     }
     const per_case = productCheck.rows[0].per_case;
 
@@ -178,24 +384,14 @@ exports.addStockToGodown = async (req, res) => {
     }
 
     // Insert into history
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS public.stock_history (
-        id BIGSERIAL PRIMARY KEY,
-        stock_id INTEGER REFERENCES public.stock(id) ON DELETE CASCADE,
-        action VARCHAR(10) CHECK (action IN ('added', 'taken')),
-        cases INTEGER NOT NULL,
-        per_case_total INTEGER NOT NULL,
-        date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    await client.query(
-      'INSERT INTO public.stock_history (stock_id, action, cases, per_case_total) VALUES ($1, $2, $3, $4)',
-      [stockId, 'added', casesAddedNum, casesAddedNum * per_case]
-    );
+    await recordMovement(client, {
+      stockId, action: 'added', cases: casesAddedNum, perCase: per_case, createdBy: req.user?.username || null,
+    });
+    const batchId = await addToBatch(client, stockId, { batch_no, mfg_date }, casesAddedNum);
+    const warning = await capacityWarning(client, godown_id);
 
     await client.query('COMMIT');
-    res.status(201).json({ message: 'Stock added successfully', stock_id: stockId });
+    res.status(201).json({ message: 'Stock added successfully', stock_id: stockId, batch_id: batchId, warning });
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('Error in addStockToGodown:', err.message);
@@ -208,30 +404,9 @@ exports.getStockByGodown = async (req, res) => {
   const { godown_id } = req.params;
 
   try {
-    const typesRes = await pool.query(`
-      SELECT DISTINCT product_type
-      FROM public.stock 
-      WHERE godown_id = $1
-    `, [godown_id]);
-
-    if (typesRes.rows.length === 0) return res.json([]);
-
-    const productTypes = typesRes.rows.map(r => r.product_type);
-    let joins = '';
-    const params = [godown_id];
-    let idx = 2;
-
-    productTypes.forEach(type => {
-      const table = type.toLowerCase().replace(/\s+/g, '_');
-      joins += `
-        LEFT JOIN public."${table}" p${idx}
-          ON LOWER(s.productname) = LOWER(p${idx}.productname)
-          AND LOWER(s.brand) = LOWER(p${idx}.brand)
-      `;
-      idx++;
-    });
-
-    const finalQuery = `
+    await ensureCatalog();
+    await ensureStockSchema();
+    const result = await pool.query(`
       SELECT 
         s.id,
         s.product_type,
@@ -239,21 +414,23 @@ exports.getStockByGodown = async (req, res) => {
         s.brand,
         s.per_case,
         s.current_cases,
-        COALESCE(
-          ${productTypes.map((_, i) => `CAST(p${i + 2}.price AS NUMERIC)`).join(', ')}, 
-          0
-        )::NUMERIC AS rate_per_box,
+        s.reserved_cases,
+        s.current_cases - s.reserved_cases AS available_cases,
+        COALESCE(p.price, 0)::NUMERIC AS rate_per_box,
+        ${ABC_CLASS_SQL('p.id')} AS abc_class,
         g.name AS godown_name,
         COALESCE(b.agent_name, '-') AS agent_name
       FROM public.stock s
       JOIN public.godown g ON s.godown_id = g.id
       LEFT JOIN public.brand b ON s.brand = b.name
-      ${joins}
+      LEFT JOIN public.product_catalog p
+        ON ${typeKeySql('p.product_type')} = ${typeKeySql('s.product_type')}
+        AND LOWER(s.productname) = LOWER(p.productname)
+        AND LOWER(s.brand) = LOWER(p.brand)
       WHERE s.godown_id = $1
       ORDER BY s.product_type, s.productname
-    `;
+    `, [godown_id]);
 
-    const result = await pool.query(finalQuery, params);
     res.json(result.rows);
 
   } catch (err) {
@@ -263,9 +440,10 @@ exports.getStockByGodown = async (req, res) => {
 };
 
 exports.takeStockFromGodown = async (req, res) => {
+  await ensureStockSchema();
   const client = await pool.connect();
   try {
-    const { stock_id, cases_taken } = req.body;
+    const { stock_id, cases_taken, batch_id } = req.body;
     if (!stock_id) {
       return res.status(400).json({ message: 'Stock ID is required' });
     }
@@ -276,17 +454,24 @@ exports.takeStockFromGodown = async (req, res) => {
     await client.query('BEGIN');
     // Check stock availability
     const stockCheck = await client.query(
-      'SELECT current_cases, per_case, taken_cases FROM public.stock WHERE id = $1 FOR UPDATE',
+      'SELECT current_cases, reserved_cases, per_case, taken_cases FROM public.stock WHERE id = $1 FOR UPDATE',
       [stock_id]
     );
     if (stockCheck.rows.length === 0) {
       await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Stock entry not found' });
     }
-    const { current_cases, per_case, taken_cases } = stockCheck.rows[0];
-    if (parseInt(cases_taken) > current_cases) {
+    const { current_cases, reserved_cases, per_case, taken_cases } = stockCheck.rows[0];
+    // Cases held by bookings are not available
+    if (parseInt(cases_taken) > current_cases - reserved_cases) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'Insufficient stock', available: current_cases - reserved_cases });
+    }
+    // FIFO over batches unless a batch was picked
+    const { allocations, error: batchError } = await consumeBatches(client, stock_id, parseInt(cases_taken), batch_id || null);
+    if (batchError) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ message: 'Insufficient stock' });
+      return res.status(400).json({ message: batchError });
     }
     const newCases = current_cases - parseInt(cases_taken);
     const newTakenCases = (taken_cases || 0) + parseInt(cases_taken);
@@ -296,13 +481,12 @@ exports.takeStockFromGodown = async (req, res) => {
       [newCases, newTakenCases, stock_id]
     );
     // Insert into stock history
-    await client.query(
-      'INSERT INTO public.stock_history (stock_id, action, cases, per_case_total) VALUES ($1, $2, $3, $4)',
-      [stock_id, 'taken', parseInt(cases_taken), parseInt(cases_taken) * per_case]
-    );
+    await recordMovement(client, {
+      stockId: stock_id, action: 'taken', cases: parseInt(cases_taken), perCase: per_case, createdBy: req.user?.username || null,
+    });
     // Commit transaction
     await client.query('COMMIT');
-    res.status(200).json({ message: 'Stock taken successfully', new_cases: newCases });
+    res.status(200).json({ message: 'Stock taken successfully', new_cases: newCases, batches: allocations });
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('Error in takeStockFromGodown:', err.message);
@@ -312,35 +496,47 @@ exports.takeStockFromGodown = async (req, res) => {
   }
 };
 exports.addStockToExisting = async (req, res) => {
+  const { stock_id, cases_added, batch_no, mfg_date } = req.body;
+  if (!stock_id) {
+    return res.status(400).json({ message: 'Stock ID is required' });
+  }
+  if (!cases_added || parseInt(cases_added) <= 0) {
+    return res.status(400).json({ message: 'Valid cases to add is required' });
+  }
+  const batchError = checkBatch({ batch_no, mfg_date });
+  if (batchError) return res.status(400).json({ message: batchError });
+
+  await ensureStockSchema();
+  const client = await pool.connect();
   try {
-    const { stock_id, cases_added } = req.body;
-    if (!stock_id) {
-      return res.status(400).json({ message: 'Stock ID is required' });
-    }
-    if (!cases_added || parseInt(cases_added) <= 0) {
-      return res.status(400).json({ message: 'Valid cases to add is required' });
-    }
-    const stockCheck = await pool.query(
-      'SELECT current_cases, per_case FROM public.stock WHERE id = $1',
+    await client.query('BEGIN');
+    const stockCheck = await client.query(
+      'SELECT current_cases, per_case FROM public.stock WHERE id = $1 FOR UPDATE',
       [stock_id]
     );
     if (stockCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Stock entry not found' });
     }
     const { current_cases, per_case } = stockCheck.rows[0];
     const newCases = current_cases + parseInt(cases_added);
-    await pool.query(
+    await client.query(
       'UPDATE public.stock SET current_cases = $1, date_added = CURRENT_TIMESTAMP WHERE id = $2',
       [newCases, stock_id]
     );
-    await pool.query(
-      'INSERT INTO public.stock_history (stock_id, action, cases, per_case_total) VALUES ($1, $2, $3, $4)',
-      [stock_id, 'added', parseInt(cases_added), parseInt(cases_added) * per_case]
-    );
-    res.status(200).json({ message: 'Stock added successfully', new_cases: newCases });
+    await recordMovement(client, {
+      stockId: stock_id, action: 'added', cases: parseInt(cases_added), perCase: per_case, createdBy: req.user?.username || null,
+    });
+    const batchId = await addToBatch(client, stock_id, { batch_no, mfg_date }, parseInt(cases_added));
+
+    await client.query('COMMIT');
+    res.status(200).json({ message: 'Stock added successfully', new_cases: newCases, batch_id: batchId });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error in addStockToExisting:', err.message);
     res.status(500).json({ message: 'Failed to add stock' });
+  } finally {
+    client.release();
   }
 };
 exports.getStockHistory = async (req, res) => {
@@ -370,7 +566,8 @@ exports.getStockHistory = async (req, res) => {
 };
 exports.exportGodownStockToExcel = async (req, res) => {
   try {
-    const godownsResult = await pool.query('SELECT id, name FROM public.godown ORDER BY name');
+    await ensureStockSchema();
+    const godownsResult = await pool.query('SELECT id, name FROM public.godown WHERE archived_at IS NULL ORDER BY name');
     const godowns = godownsResult.rows;
     const workbook = new ExcelJS.Workbook();
     workbook.creator = 'Admin System';
@@ -454,19 +651,36 @@ exports.editGodown = async (req, res) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
-    if (!name?.trim()) return res.status(400).json({ message: 'Name required' });
+    // Only the fields sent are changed; name may be left out when just the details are edited
+    const details = GODOWN_DETAIL_FIELDS.filter(f => f in req.body);
+    if (name === undefined && !details.length) return res.status(400).json({ message: 'Name required' });
+    if (name !== undefined && !name?.trim()) return res.status(400).json({ message: 'Name required' });
+    const detailError = checkGodownDetails(req.body);
+    if (detailError) return res.status(400).json({ message: detailError });
 
-    const formatted = name.toLowerCase().trim().replace(/\s+/g, '_');
-    const check = await pool.query('SELECT id FROM public.godown WHERE name = $1 AND id != $2', [formatted, id]);
-    if (check.rows.length > 0) return res.status(400).json({ message: 'Name already exists' });
+    await ensureStockSchema();
+    const sets = [];
+    const params = [];
+    if (name !== undefined) {
+      const formatted = name.toLowerCase().trim().replace(/\s+/g, '_');
+      const check = await pool.query('SELECT id FROM public.godown WHERE name = $1 AND id != $2', [formatted, id]);
+      if (check.rows.length > 0) return res.status(400).json({ message: 'Name already exists' });
+      params.push(formatted);
+      sets.push(`name = $${params.length}`);
+    }
+    for (const field of details) {
+      params.push(godownDetailValue(field, req.body[field]));
+      sets.push(`${field} = $${params.length}`);
+    }
+    params.push(id);
 
     const result = await pool.query(
-      'UPDATE public.godown SET name = $1 WHERE id = $2 RETURNING name',
-      [formatted, id]
+      `UPDATE public.godown SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING name`,
+      params
     );
     if (result.rows.length === 0) return res.status(404).json({ message: 'Godown not found' });
 
-    res.json({ message: 'Updated', name: result.rows[0].name });
+    res.json({ message: 'Updated', name: result.rows[0].name, warning: await capacityWarning(pool, id) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Failed to update' });
@@ -476,17 +690,22 @@ exports.editGodown = async (req, res) => {
 // FAST FETCH: Godowns + Stock Count (no full stock details)
 exports.getGodownsFast = async (req, res) => {
   try {
+    await ensureStockSchema();
     const result = await pool.query(`
       SELECT 
         g.id, 
         g.name,
+        g.capacity_cases,
+        g.licence_expiry::TEXT AS licence_expiry,
+        g.archived_at,
         COALESCE(SUM(s.current_cases), 0) AS total_cases,
         COUNT(s.id) AS stock_items
       FROM public.godown g
       LEFT JOIN public.stock s ON s.godown_id = g.id
+      WHERE g.archived_at IS NULL OR $1::BOOLEAN
       GROUP BY g.id, g.name
       ORDER BY g.name
-    `);
+    `, [req.query.include_archived === 'true']);
     res.json(result.rows);
   } catch (err) {
     console.error(err);
@@ -502,23 +721,41 @@ exports.bulkAllocate = async (req, res) => {
     if (!Array.isArray(allocations) || allocations.length === 0) {
       return res.status(400).json({ message: 'No allocations provided' });
     }
+    for (const [idx, alloc] of allocations.entries()) {
+      if (!isValidId(alloc.godown_id)) return res.status(400).json({ message: `Allocation ${idx}: Invalid godown id` });
+      const cases = Number(alloc.cases_added);
+      if (!Number.isInteger(cases) || cases <= 0) {
+        return res.status(400).json({ message: `Allocation ${idx}: Cases must be a positive number` });
+      }
+      const batchError = checkBatch(alloc);
+      if (batchError) return res.status(400).json({ message: `Allocation ${idx}: ${batchError}` });
+    }
 
+    await ensureStockSchema();
     await client.query('BEGIN');
 
     const results = [];
 
-    for (const alloc of allocations) {
+    for (const [idx, alloc] of allocations.entries()) {
       const {
         godown_id,
         product_type,
         productname,
         brand,
         per_case,
-        cases_added
+        cases_added,
+        batch_no,
+        mfg_date
       } = alloc;
 
-      const cases = parseInt(cases_added, 10);
-      if (isNaN(cases) || cases <= 0) continue;
+      const cases = Number(cases_added);
+
+      // Archived godowns are hidden and take no new stock
+      const godownCheck = await client.query('SELECT id FROM public.godown WHERE id = $1 AND archived_at IS NULL', [godown_id]);
+      if (godownCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: `Allocation ${idx}: Godown not found` });
+      }
 
       // --- Brand: Insert if not exists ---
       const fmtBrand = brand.toLowerCase().replace(/\s+/g, '_');
@@ -563,20 +800,26 @@ exports.bulkAllocate = async (req, res) => {
       }
 
       // --- History ---
-      await client.query(
-        `INSERT INTO public.stock_history (stock_id, action, cases, per_case_total)
-         VALUES ($1, 'added', $2, $3)`,
-        [stockId, cases, cases * per_case]
-      );
+      await recordMovement(client, {
+        stockId, action: 'added', cases, perCase: per_case, createdBy: req.user?.username || null,
+      });
+      await addToBatch(client, stockId, { batch_no, mfg_date }, cases);
 
       results.push({ godown_id, productname, brand, cases_added: cases });
     }
 
+    const warnings = [];
+    for (const godownId of new Set(results.map(r => String(r.godown_id)))) {
+      const warning = await capacityWarning(client, godownId);
+      if (warning) warnings.push(warning);
+    }
+
     await client.query('COMMIT');
     res.status(201).json({
       message: 'Bulk allocation completed',
       added: results.length,
-      details: results
+      details: results,
+      warnings
     });
   } catch (err) {
     await client.query('ROLLBACK');
@@ -585,4 +828,1049 @@ exports.bulkAllocate = async (req, res) => {
   } finally {
     client.release();
   }
-};
\ No newline at end of file
+};
+
+/* ──────────────────────  INTER-GODOWN TRANSFER  ────────────────────── */
+// Moves items ([{ stock_id, cases, batch_id? }]) between godowns inside the caller's transaction.
+// Returns { transferId, reference, lines }, or { status, error } for the caller to roll back and send.
+// includeReserved lets cases held by bookings move too; the caller must then move the reservations with them
+const moveStock = async (client, { fromGodownId, toGodownId, items, notes = null, createdBy = null, includeReserved = false }) => {
+  const godowns = await client.query(
+    'SELECT id, archived_at FROM public.godown WHERE id = ANY($1::BIGINT[])',
+    [[fromGodownId, toGodownId]]
+  );
+  if (godowns.rows.length !== 2) return { status: 404, error: { message: 'Godown not found' } };
+  const destination = godowns.rows.find(g => String(g.id) === String(toGodownId));
+  if (destination.archived_at) return { status: 400, error: { message: 'Destination godown is archived' } };
+
+  const header = await client.query(
+    `INSERT INTO public.stock_transfers (from_godown_id, to_godown_id, notes, created_by)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [fromGodownId, toGodownId, notes, createdBy]
+  );
+  const transferId = header.rows[0].id;
+  const reference = `TR-${transferId}`;
+
+  // Lock source rows in id order so concurrent transfers cannot deadlock each other
+  const ordered = [...items].sort((a, b) => Number(a.stock_id) - Number(b.stock_id));
+  const lines = [];
+  for (const item of ordered) {
+    const cases = Number(item.cases);
+    const src = await client.query('SELECT * FROM public.stock WHERE id = $1 FOR UPDATE', [item.stock_id]);
+    const stock = src.rows[0];
+    if (!stock || String(stock.godown_id) !== String(fromGodownId)) {
+      return { status: 404, error: { message: `Stock ${item.stock_id} not found in the source godown` } };
+    }
+    const available = includeReserved ? stock.current_cases : stock.current_cases - stock.reserved_cases;
+    if (cases > available) {
+      return {
+        status: 400,
+        error: { message: `Insufficient stock for ${stock.productname} (${stock.brand})`, available }
+      };
+    }
+
+    // Batches travel with the cases so the destination keeps their manufacturing dates
+    const { allocations, error: batchError } = await consumeBatches(client, stock.id, cases, item.batch_id || null);
+    if (batchError) return { status: 400, error: { message: `${stock.productname}: ${batchError}` } };
+
+    await client.query(
+      'UPDATE public.stock SET current_cases = current_cases - $1 WHERE id = $2',
+      [cases, stock.id]
+    );
+    const dest = await addToStockRow(client, toGodownId, stock, cases);
+    for (const a of allocations) {
+      await addToBatch(client, dest.id, a, a.cases);
+    }
+
+    await recordMovement(client, { stockId: stock.id, action: 'taken', cases, perCase: stock.per_case, reference, createdBy });
+    await recordMovement(client, { stockId: dest.id, action: 'added', cases, perCase: stock.per_case, reference, createdBy });
+
+    lines.push({
+      from_stock_id: stock.id,
+      to_stock_id: dest.id,
+      product_type: stock.product_type,
+      productname: stock.productname,
+      brand: stock.brand,
+      per_case: stock.per_case,
+      cases,
+      batches: allocations
+    });
+  }
+
+  await client.query(
+    'UPDATE public.stock_transfers SET transfer_number = $1, items = $2 WHERE id = $3',
+    [reference, JSON.stringify(lines), transferId]
+  );
+  return { transferId, reference, lines };
+};
+
+// POST /api/godowns/stock/transfer
+// { from_godown_id, to_godown_id, items: [{ stock_id, cases }], notes? }
+// Both sides are written in one transaction and share the TR-<id> reference in stock_history.
+exports.transferStock = async (req, res) => {
+  const { from_godown_id, to_godown_id, items, notes = null } = req.body;
+
+  if (!isValidId(from_godown_id) || !isValidId(to_godown_id)) {
+    return res.status(400).json({ message: 'Source and destination godowns are required' });
+  }
+  if (String(from_godown_id) === String(to_godown_id)) {
+    return res.status(400).json({ message: 'Source and destination godowns must differ' });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'No items to transfer' });
+  }
+  const seen = new Set();
+  for (const [idx, item] of items.entries()) {
+    const cases = Number(item.cases);
+    if (!isValidId(item.stock_id)) return res.status(400).json({ message: `Invalid stock_id at item ${idx}` });
+    if (!Number.isInteger(cases) || cases <= 0) return res.status(400).json({ message: `Invalid cases at item ${idx}` });
+    if (seen.has(String(item.stock_id))) return res.status(400).json({ message: `Stock ${item.stock_id} is listed twice` });
+    seen.add(String(item.stock_id));
+  }
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const moved = await moveStock(client, {
+      fromGodownId: from_godown_id,
+      toGodownId: to_godown_id,
+      items,
+      notes,
+      createdBy: req.user?.username || null
+    });
+    if (moved.error) {
+      await client.query('ROLLBACK');
+      return res.status(moved.status).json(moved.error);
+    }
+    const warning = await capacityWarning(client, to_godown_id);
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: 'Stock transferred',
+      id: moved.transferId,
+      transfer_number: moved.reference,
+      items: moved.lines,
+      warning
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in transferStock:', err.message);
+    res.status(500).json({ message: 'Failed to transfer stock' });
+  } finally {
+    client.release();
+  }
+};
+
+const TRANSFER_SELECT = `
+  SELECT
+    t.id, t.transfer_number, t.items, t.notes, t.created_by, t.created_at,
+    t.from_godown_id, fg.name AS from_godown,
+    t.to_godown_id, tg.name AS to_godown
+  FROM public.stock_transfers t
+  LEFT JOIN public.godown fg ON fg.id = t.from_godown_id
+  LEFT JOIN public.godown tg ON tg.id = t.to_godown_id`;
+
+// GET /api/godowns/transfers?godown_id=
+exports.getTransfers = async (req, res) => {
+  try {
+    const { godown_id } = req.query;
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `${TRANSFER_SELECT}
+       WHERE $1::BIGINT IS NULL OR t.from_godown_id = $1 OR t.to_godown_id = $1
+       ORDER BY t.created_at DESC
+       LIMIT 200`,
+      [godown_id || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error in getTransfers:', err.message);
+    res.status(500).json({ message: 'Failed to fetch transfers' });
+  }
+};
+
+const generateTransferNotePDF = (transfer) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4' });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const items = Array.isArray(transfer.items) ? transfer.items : [];
+    const totalCases = items.reduce((sum, i) => sum + (parseInt(i.cases) || 0), 0);
+    const created = new Date(transfer.created_at);
+    const dateStr = `${String(created.getDate()).padStart(2, '0')}/${String(created.getMonth() + 1).padStart(2, '0')}/${created.getFullYear()}`;
+
+    doc.fontSize(16).font('Helvetica-Bold').text('STOCK TRANSFER NOTE', { align: 'center' }).moveDown(1.5);
+
+    const leftX = 40;
+    const rightX = 300;
+    const startY = doc.y;
+    doc.font('Helvetica').fontSize(12);
+    doc.text(`From Godown : ${transfer.from_godown || '-'}`, leftX, startY);
+    doc.text(`To Godown   : ${transfer.to_godown || '-'}`, leftX, startY + 17);
+    doc.text(`Transfer NO : ${transfer.transfer_number}`, rightX, startY, { align: 'right' });
+    doc.text(`DATE        : ${dateStr}`, rightX, startY + 17, { align: 'right' });
+    doc.text(`Issued By   : ${transfer.created_by || '-'}`, rightX, startY + 34, { align: 'right' });
+
+    // Items table
+    const headers = ['S.No', 'Product Type', 'Product', 'Brand', 'Cases', 'Per Case', 'Quantity'];
+    const colWidths = [35, 85, 150, 90, 50, 50, 55];
+    const tableStartX = leftX;
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 20;
+    const cellPadding = 5;
+    let y = startY + 70;
+
+    const drawRow = (cells, font) => {
+      let x = tableStartX;
+      doc.lineWidth(0.4).strokeColor('black').rect(tableStartX, y, tableWidth, rowHeight).stroke();
+      doc.font(font).fontSize(9);
+      cells.forEach((text, i) => {
+        doc.text(text, x + cellPadding, y + cellPadding, { width: colWidths[i] - 2 * cellPadding, align: 'center' });
+        x += colWidths[i];
+      });
+      y += rowHeight;
+    };
+
+    drawRow(headers, 'Helvetica-Bold');
+    items.forEach((item, idx) => {
+      drawRow([
+        String(idx + 1),
+        item.product_type || '',
+        item.productname || '',
+        item.brand || '',
+        String(item.cases || 0),
+        String(item.per_case || 0),
+        String((item.cases || 0) * (item.per_case || 0))
+      ], 'Helvetica');
+    });
+
+    doc.font('Helvetica-Bold').fontSize(12).text(`No. of Cases : ${totalCases}`, leftX, y + 15);
+    if (transfer.notes) {
+      doc.font('Helvetica').fontSize(10).text(`Notes: ${transfer.notes}`, leftX, y + 35, { width: tableWidth });
+    }
+
+    const signY = doc.y + 60;
+    doc.font('Helvetica').fontSize(10);
+    doc.text('Issued by', leftX, signY);
+    doc.text('Received by', rightX, signY, { align: 'right' });
+
+    doc.end();
+  });
+};
+
+// GET /api/godowns/transfers/:id/note — transfer note as PDF
+exports.getTransferNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid transfer id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(`${TRANSFER_SELECT} WHERE t.id = $1`, [id]);
+    if (!result.rows.length) return res.status(404).json({ message: 'Transfer not found' });
+
+    const transfer = result.rows[0];
+    const pdfBuffer = await generateTransferNotePDF(transfer);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${transfer.transfer_number}.pdf`);
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error('Error in getTransferNote:', err.message);
+    res.status(500).json({ message: 'Failed to generate transfer note' });
+  }
+};
+
+
+/* ──────────────────────  STOCK ADJUSTMENTS  ────────────────────── */
+// Adjustments above this many cases wait for an admin unless an admin makes them; 0 turns approval off
+const ADJUSTMENT_APPROVAL_CASES = parseInt(process.env.STOCK_ADJUSTMENT_APPROVAL_CASES ?? '10', 10);
+
+// Moves the stock and writes the adj_in / adj_out history row. Returns an error message instead when
+// an outgoing adjustment is larger than what is on hand.
+const applyAdjustment = async (client, adjustment) => {
+  const stockRes = await client.query(
+    'SELECT current_cases, reserved_cases, per_case FROM public.stock WHERE id = $1 FOR UPDATE',
+    [adjustment.stock_id]
+  );
+  if (!stockRes.rows.length) return 'Stock entry not found';
+  const { current_cases, reserved_cases, per_case } = stockRes.rows[0];
+
+  // Cases held by bookings cannot be adjusted away
+  const delta = adjustment.direction === 'in' ? adjustment.cases : -adjustment.cases;
+  if (current_cases - reserved_cases + delta < 0) return `Only ${current_cases - reserved_cases} cases available`;
+  if (delta < 0) {
+    const { error } = await consumeBatches(client, adjustment.stock_id, adjustment.cases);
+    if (error) return error;
+  }
+
+  await client.query('UPDATE public.stock SET current_cases = current_cases + $1 WHERE id = $2', [delta, adjustment.stock_id]);
+  await recordMovement(client, {
+    stockId: adjustment.stock_id,
+    action: adjustment.direction === 'in' ? 'adj_in' : 'adj_out',
+    cases: adjustment.cases,
+    perCase: per_case,
+    reference: adjustment.reference,
+    createdBy: adjustment.created_by
+  });
+  return null;
+};
+
+// Inserts a stock_adjustments row and gives it its ADJ-<id> reference
+const insertAdjustment = async (client, { stock_id, direction, cases, reason, notes = null, status, created_by = null, count_id = null }) => {
+  const ins = await client.query(
+    `INSERT INTO public.stock_adjustments (stock_id, direction, cases, reason, notes, status, created_by, count_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [stock_id, direction, cases, reason, notes, status, created_by, count_id]
+  );
+  const adjustment = ins.rows[0];
+  adjustment.reference = `ADJ-${adjustment.id}`;
+  await client.query('UPDATE public.stock_adjustments SET reference = $1 WHERE id = $2', [adjustment.reference, adjustment.id]);
+  return adjustment;
+};
+
+// POST /api/godowns/stock/adjust { stock_id, reason, cases, direction?, notes? }
+// direction defaults from the reason; count_correction needs it spelled out.
+exports.adjustStock = async (req, res) => {
+  const { stock_id, reason, notes = null } = req.body;
+  const cases = Number(req.body.cases);
+  const allowed = ADJUSTMENT_REASONS[reason];
+
+  if (!isValidId(stock_id)) return res.status(400).json({ message: 'Stock ID is required' });
+  if (!allowed) {
+    return res.status(400).json({ message: `reason must be one of ${Object.keys(ADJUSTMENT_REASONS).join(', ')}` });
+  }
+  const direction = req.body.direction || (allowed.length === 1 ? allowed[0] : null);
+  if (!allowed.includes(direction)) {
+    return res.status(400).json({ message: `direction for ${reason} must be ${allowed.join(' or ')}` });
+  }
+  if (!Number.isInteger(cases) || cases <= 0) return res.status(400).json({ message: 'Valid cases is required' });
+  if (['theft', 'count_correction'].includes(reason) && !notes?.trim()) {
+    return res.status(400).json({ message: `Notes are required for ${reason}` });
+  }
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const needsApproval = req.user?.type !== 'admin'
+      && ADJUSTMENT_APPROVAL_CASES > 0
+      && cases > ADJUSTMENT_APPROVAL_CASES;
+
+    const adjustment = await insertAdjustment(client, {
+      stock_id, direction, cases, reason, notes,
+      status: needsApproval ? 'pending' : 'approved',
+      created_by: req.user?.username || null
+    });
+
+    if (!needsApproval) {
+      const error = await applyAdjustment(client, adjustment);
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: error });
+      }
+      await client.query(
+        'UPDATE public.stock_adjustments SET reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [req.user?.username || null, adjustment.id]
+      );
+    }
+
+    await client.query('COMMIT');
+    res.status(needsApproval ? 202 : 201).json({
+      message: needsApproval ? 'Adjustment sent for approval' : 'Stock adjusted',
+      id: adjustment.id,
+      reference: adjustment.reference,
+      status: adjustment.status
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in adjustStock:', err.message);
+    res.status(500).json({ message: 'Failed to adjust stock' });
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/godowns/adjustments?status=&godown_id=&reason=
+exports.getAdjustments = async (req, res) => {
+  try {
+    const { status, godown_id, reason } = req.query;
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `SELECT
+         a.*, s.godown_id, g.name AS godown_name,
+         s.product_type, s.productname, s.brand, s.per_case, s.current_cases
+       FROM public.stock_adjustments a
+       JOIN public.stock s ON s.id = a.stock_id
+       JOIN public.godown g ON g.id = s.godown_id
+       WHERE ($1::TEXT IS NULL OR a.status = $1)
+         AND ($2::BIGINT IS NULL OR s.godown_id = $2)
+         AND ($3::TEXT IS NULL OR a.reason = $3)
+       ORDER BY a.created_at DESC
+       LIMIT 500`,
+      [status || null, godown_id || null, reason || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error in getAdjustments:', err.message);
+    res.status(500).json({ message: 'Failed to fetch adjustments' });
+  }
+};
+
+// PATCH /api/godowns/adjustments/:id/approve | /reject { note? }
+const reviewAdjustment = (approve) => async (req, res) => {
+  const { id } = req.params;
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid adjustment id' });
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const found = await client.query('SELECT * FROM public.stock_adjustments WHERE id = $1 FOR UPDATE', [id]);
+    const adjustment = found.rows[0];
+    if (!adjustment) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Adjustment not found' });
+    }
+    if (adjustment.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Adjustment is already ${adjustment.status}` });
+    }
+
+    if (approve) {
+      const error = await applyAdjustment(client, adjustment);
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: error });
+      }
+    }
+
+    await client.query(
+      `UPDATE public.stock_adjustments
+       SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_note = $3
+       WHERE id = $4`,
+      [approve ? 'approved' : 'rejected', req.user?.username || null, req.body?.note || null, id]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: approve ? 'Adjustment approved' : 'Adjustment rejected', reference: adjustment.reference });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in reviewAdjustment:', err.message);
+    res.status(500).json({ message: 'Failed to review adjustment' });
+  } finally {
+    client.release();
+  }
+};
+
+exports.approveAdjustment = reviewAdjustment(true);
+exports.rejectAdjustment = reviewAdjustment(false);
+
+
+/* ──────────────────────  STOCK COUNTS  ────────────────────── */
+// POST /api/godowns/:godown_id/counts { notes? } — opens a count and snapshots the godown's stock
+exports.openStockCount = async (req, res) => {
+  const { godown_id } = req.params;
+  if (!isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const godown = await client.query('SELECT id FROM public.godown WHERE id = $1', [godown_id]);
+    if (!godown.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Godown not found' });
+    }
+    const open = await client.query(
+      "SELECT id FROM public.stock_counts WHERE godown_id = $1 AND status = 'open'",
+      [godown_id]
+    );
+    if (open.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'A count is already open for this godown', count_id: open.rows[0].id });
+    }
+
+    const count = await client.query(
+      `INSERT INTO public.stock_counts (godown_id, notes, opened_by)
+       VALUES ($1, $2, $3) RETURNING id`,
+      [godown_id, req.body?.notes || null, req.user?.username || null]
+    );
+    const countId = count.rows[0].id;
+    const lines = await client.query(
+      `INSERT INTO public.stock_count_lines (count_id, stock_id, system_cases)
+       SELECT $1, id, current_cases FROM public.stock WHERE godown_id = $2`,
+      [countId, godown_id]
+    );
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Stock count opened', id: countId, reference: `CNT-${countId}`, lines: lines.rowCount });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in openStockCount:', err.message);
+    res.status(500).json({ message: 'Failed to open stock count' });
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/godowns/counts?godown_id=&status=
+exports.getStockCounts = async (req, res) => {
+  try {
+    const { godown_id, status } = req.query;
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `SELECT
+         c.*, g.name AS godown_name,
+         COUNT(l.stock_id)::INT AS lines,
+         COUNT(l.counted_cases)::INT AS counted_lines
+       FROM public.stock_counts c
+       JOIN public.godown g ON g.id = c.godown_id
+       LEFT JOIN public.stock_count_lines l ON l.count_id = c.id
+       WHERE ($1::BIGINT IS NULL OR c.godown_id = $1)
+         AND ($2::TEXT IS NULL OR c.status = $2)
+       GROUP BY c.id, g.name
+       ORDER BY c.opened_at DESC`,
+      [godown_id || null, status || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error in getStockCounts:', err.message);
+    res.status(500).json({ message: 'Failed to fetch stock counts' });
+  }
+};
+
+// GET /api/godowns/counts/:id — lines with variance = counted - snapshot
+exports.getStockCount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid count id' });
+
+    await ensureStockSchema();
+    const count = await pool.query(
+      `SELECT c.*, g.name AS godown_name
+       FROM public.stock_counts c JOIN public.godown g ON g.id = c.godown_id
+       WHERE c.id = $1`,
+      [id]
+    );
+    if (!count.rows.length) return res.status(404).json({ message: 'Stock count not found' });
+
+    const lines = await pool.query(
+      `SELECT
+         l.stock_id, s.product_type, s.productname, s.brand, s.per_case,
+         l.system_cases, l.counted_cases, s.current_cases,
+         l.counted_cases - l.system_cases AS variance,
+         l.counted_by, l.counted_at
+       FROM public.stock_count_lines l
+       JOIN public.stock s ON s.id = l.stock_id
+       WHERE l.count_id = $1
+       ORDER BY s.product_type, s.productname`,
+      [id]
+    );
+
+    const counted = lines.rows.filter(l => l.counted_cases !== null);
+    res.json({
+      ...count.rows[0],
+      reference: `CNT-${id}`,
+      summary: {
+        lines: lines.rows.length,
+        counted: counted.length,
+        with_variance: counted.filter(l => l.variance !== 0).length,
+        cases_over: counted.reduce((sum, l) => sum + Math.max(l.variance, 0), 0),
+        cases_short: counted.reduce((sum, l) => sum + Math.max(-l.variance, 0), 0)
+      },
+      lines: lines.rows
+    });
+  } catch (err) {
+    console.error('Error in getStockCount:', err.message);
+    res.status(500).json({ message: 'Failed to fetch stock count' });
+  }
+};
+
+// PATCH /api/godowns/counts/:id/lines { mode: 'set' | 'add', lines: [{ stock_id, counted_cases }] }
+// 'add' lets several devices count different stacks of the same line without overwriting each other.
+// system_cases is re-read from stock when a line is counted ('set', or the first 'add'), so takes and
+// receipts while the count is open are not mistaken for a variance.
+exports.enterCountLines = async (req, res) => {
+  const { id } = req.params;
+  const { mode = 'set', lines } = req.body;
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid count id' });
+  if (!['set', 'add'].includes(mode)) return res.status(400).json({ message: "mode must be 'set' or 'add'" });
+  if (!Array.isArray(lines) || lines.length === 0) return res.status(400).json({ message: 'No lines provided' });
+  for (const [idx, line] of lines.entries()) {
+    const counted = Number(line.counted_cases);
+    if (!isValidId(line.stock_id)) return res.status(400).json({ message: `Invalid stock_id at line ${idx}` });
+    if (!Number.isInteger(counted) || counted < 0) return res.status(400).json({ message: `Invalid counted_cases at line ${idx}` });
+  }
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const count = await client.query('SELECT godown_id, status FROM public.stock_counts WHERE id = $1 FOR SHARE', [id]);
+    if (!count.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+    if (count.rows[0].status !== 'open') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Stock count is ${count.rows[0].status}` });
+    }
+
+    const username = req.user?.username || null;
+    const saved = [];
+    for (const line of lines) {
+      const counted = Number(line.counted_cases);
+      // Holds off takes and receipts on the row until the count and its snapshot are saved
+      await client.query('SELECT 1 FROM public.stock WHERE id = $1 FOR SHARE', [line.stock_id]);
+      let result = await client.query(
+        `UPDATE public.stock_count_lines
+         SET counted_cases = CASE WHEN $3 = 'add' THEN COALESCE(counted_cases, 0) + $4 ELSE $4 END,
+             system_cases = CASE
+               WHEN $3 = 'add' AND counted_cases IS NOT NULL THEN system_cases
+               ELSE (SELECT s.current_cases FROM public.stock s WHERE s.id = $2)
+             END,
+             counted_by = $5, counted_at = CURRENT_TIMESTAMP
+         WHERE count_id = $1 AND stock_id = $2
+         RETURNING stock_id, system_cases, counted_cases`,
+        [id, line.stock_id, mode, counted, username]
+      );
+      if (!result.rows.length) {
+        // Stock row created in this godown after the count was opened: snapshot it now
+        result = await client.query(
+          `INSERT INTO public.stock_count_lines (count_id, stock_id, system_cases, counted_cases, counted_by, counted_at)
+           SELECT $1, s.id, s.current_cases, $3, $4, CURRENT_TIMESTAMP
+           FROM public.stock s WHERE s.id = $2 AND s.godown_id = $5
+           RETURNING stock_id, system_cases, counted_cases`,
+          [id, line.stock_id, counted, username, count.rows[0].godown_id]
+        );
+        if (!result.rows.length) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ message: `Stock ${line.stock_id} is not in this godown` });
+        }
+      }
+      const row = result.rows[0];
+      saved.push({ ...row, variance: row.counted_cases - row.system_cases });
+    }
+
+    await client.query('COMMIT');
+    res.json({ message: 'Counts saved', lines: saved });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in enterCountLines:', err.message);
+    res.status(500).json({ message: 'Failed to save counts' });
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/godowns/counts/:id/close { uncounted: 'skip' | 'zero' }
+// Each counted line's variance (against stock when it was counted) is posted as an approved
+// count_correction adjustment, so stock moved after counting is kept. 'zero' writes off what is on hand now.
+exports.closeStockCount = async (req, res) => {
+  const { id } = req.params;
+  const { uncounted = 'skip' } = req.body || {};
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid count id' });
+  if (!['skip', 'zero'].includes(uncounted)) return res.status(400).json({ message: "uncounted must be 'skip' or 'zero'" });
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const count = await client.query('SELECT * FROM public.stock_counts WHERE id = $1 FOR UPDATE', [id]);
+    if (!count.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+    if (count.rows[0].status !== 'open') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Stock count is already ${count.rows[0].status}` });
+    }
+
+    const lines = await client.query(
+      `SELECT l.stock_id, l.system_cases, l.counted_cases, s.current_cases
+       FROM public.stock_count_lines l
+       JOIN public.stock s ON s.id = l.stock_id
+       WHERE l.count_id = $1 ORDER BY l.stock_id`,
+      [id]
+    );
+
+    const username = req.user?.username || null;
+    const posted = [];
+    for (const line of lines.rows) {
+      if (line.counted_cases === null && uncounted === 'skip') continue;
+      const variance = line.counted_cases === null ? -line.current_cases : line.counted_cases - line.system_cases;
+      if (variance === 0) continue;
+
+      const adjustment = await insertAdjustment(client, {
+        stock_id: line.stock_id,
+        direction: variance > 0 ? 'in' : 'out',
+        cases: Math.abs(variance),
+        reason: 'count_correction',
+        notes: `Stock count CNT-${id}`,
+        status: 'approved',
+        created_by: username,
+        count_id: id
+      });
+      const error = await applyAdjustment(client, adjustment);
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Stock ${line.stock_id}: ${error}` });
+      }
+      await client.query(
+        'UPDATE public.stock_adjustments SET reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [username, adjustment.id]
+      );
+      posted.push({ stock_id: line.stock_id, variance, reference: adjustment.reference });
+    }
+
+    await client.query(
+      "UPDATE public.stock_counts SET status = 'closed', closed_by = $1, closed_at = CURRENT_TIMESTAMP WHERE id = $2",
+      [username, id]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Stock count closed', reference: `CNT-${id}`, adjustments: posted });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in closeStockCount:', err.message);
+    res.status(500).json({ message: 'Failed to close stock count' });
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/godowns/counts/:id/cancel — discards an open count without touching stock
+exports.cancelStockCount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid count id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `UPDATE public.stock_counts
+       SET status = 'cancelled', closed_by = $1, closed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'open' RETURNING id`,
+      [req.user?.username || null, id]
+    );
+    if (!result.rows.length) return res.status(404).json({ message: 'No open stock count with this id' });
+    res.json({ message: 'Stock count cancelled' });
+  } catch (err) {
+    console.error('Error in cancelStockCount:', err.message);
+    res.status(500).json({ message: 'Failed to cancel stock count' });
+  }
+};
+
+
+/* ──────────────────────  BATCHES  ────────────────────── */
+const BATCH_ROWS_SQL = `
+  SELECT
+    s.id AS stock_id, s.product_type, s.productname, s.brand, s.per_case, s.current_cases,
+    COALESCE(b.batches, '[]'::JSON) AS batches,
+    GREATEST(s.current_cases - COALESCE(b.batched, 0), 0)::INT AS unbatched_cases
+  FROM public.stock s
+  LEFT JOIN LATERAL (
+    SELECT
+      SUM(sb.cases_remaining)::INT AS batched,
+      JSON_AGG(JSON_BUILD_OBJECT(
+        'batch_id', sb.id,
+        'batch_no', sb.batch_no,
+        'mfg_date', sb.mfg_date,
+        'cases_received', sb.cases_received,
+        'cases_remaining', sb.cases_remaining,
+        'received_at', sb.received_at
+      ) ORDER BY COALESCE(sb.mfg_date, sb.received_at::DATE), sb.id) AS batches
+    FROM public.stock_batches sb
+    WHERE sb.stock_id = s.id AND sb.cases_remaining > 0
+  ) b ON TRUE`;
+
+// GET /api/stock/:stock_id/batches
+exports.getStockBatches = async (req, res) => {
+  try {
+    const { stock_id } = req.params;
+    if (!isValidId(stock_id)) return res.status(400).json({ message: 'Invalid stock id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(`${BATCH_ROWS_SQL} WHERE s.id = $1`, [stock_id]);
+    if (!result.rows.length) return res.status(404).json({ message: 'Stock entry not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in getStockBatches:', err.message);
+    res.status(500).json({ message: 'Failed to fetch batches' });
+  }
+};
+
+// GET /api/godowns/:godown_id/batches — every stock line of the godown with its open batches
+exports.getGodownBatches = async (req, res) => {
+  try {
+    const { godown_id } = req.params;
+    if (!isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `${BATCH_ROWS_SQL} WHERE s.godown_id = $1 ORDER BY s.product_type, s.productname`,
+      [godown_id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error in getGodownBatches:', err.message);
+    res.status(500).json({ message: 'Failed to fetch batches' });
+  }
+};
+
+// GET /api/godowns/:godown_id/batches/ageing?buckets=90,180,365
+// Age runs from the manufacturing date, or the receipt date for batches without one.
+// Unbatched cases have no known age and are reported in their own bucket.
+exports.getBatchAgeing = async (req, res) => {
+  try {
+    const { godown_id } = req.params;
+    if (!isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+    const limits = String(req.query.buckets || '90,180,365')
+      .split(',').map(n => parseInt(n, 10)).filter(n => n > 0).sort((a, b) => a - b);
+    if (!limits.length) return res.status(400).json({ message: 'buckets must be a list of day counts' });
+
+    await ensureStockSchema();
+    const batches = await pool.query(
+      `SELECT
+         s.id AS stock_id, s.product_type, s.productname, s.brand, s.per_case,
+         sb.id AS batch_id, sb.batch_no, sb.mfg_date::TEXT AS mfg_date, sb.received_at,
+         sb.cases_remaining AS cases,
+         (CURRENT_DATE - COALESCE(sb.mfg_date, sb.received_at::DATE))::INT AS age_days
+       FROM public.stock_batches sb
+       JOIN public.stock s ON s.id = sb.stock_id
+       WHERE s.godown_id = $1 AND sb.cases_remaining > 0
+       ORDER BY age_days DESC, s.productname`,
+      [godown_id]
+    );
+    const unbatched = await pool.query(
+      `SELECT COALESCE(SUM(GREATEST(s.current_cases - COALESCE(b.batched, 0), 0)), 0)::INT AS cases
+       FROM public.stock s
+       LEFT JOIN (
+         SELECT stock_id, SUM(cases_remaining) AS batched FROM public.stock_batches GROUP BY stock_id
+       ) b ON b.stock_id = s.id
+       WHERE s.godown_id = $1`,
+      [godown_id]
+    );
+
+    const bucketLabel = (age) => {
+      let from = 0;
+      for (const limit of limits) {
+        if (age <= limit) return `${from}-${limit} days`;
+        from = limit + 1;
+      }
+      return `over ${limits[limits.length - 1]} days`;
+    };
+    const labels = [...limits.map((l, i) => `${i ? limits[i - 1] + 1 : 0}-${l} days`), `over ${limits[limits.length - 1]} days`];
+    const summary = Object.fromEntries(labels.map(l => [l, 0]));
+
+    const rows = batches.rows.map(r => {
+      const bucket = bucketLabel(r.age_days);
+      summary[bucket] += r.cases;
+      return { ...r, bucket };
+    });
+    summary.unbatched = unbatched.rows[0].cases;
+
+    res.json({ godown_id: Number(godown_id), summary, batches: rows });
+  } catch (err) {
+    console.error('Error in getBatchAgeing:', err.message);
+    res.status(500).json({ message: 'Failed to build ageing report' });
+  }
+};
+
+
+/* ──────────────────────  LICENCES  ────────────────────── */
+// GET /api/godowns/licences/expiring?days=30 — includes licences that have already expired
+exports.getExpiringLicences = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30', 10);
+    if (!(days >= 0)) return res.status(400).json({ message: 'days must be zero or more' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `SELECT
+         id, name, address, licence_no, licence_expiry::TEXT AS licence_expiry,
+         (licence_expiry - CURRENT_DATE)::INT AS days_left,
+         incharge_name, incharge_phone
+       FROM public.godown
+       WHERE licence_expiry IS NOT NULL
+         AND licence_expiry <= CURRENT_DATE + $1::INT
+       ORDER BY licence_expiry`,
+      [days]
+    );
+    res.json(result.rows.map(r => ({ ...r, expired: r.days_left < 0 })));
+  } catch (err) {
+    console.error('Error in getExpiringLicences:', err.message);
+    res.status(500).json({ message: 'Failed to fetch expiring licences' });
+  }
+};
+
+
+/* ──────────────────────  OPENING STOCK IMPORT  ────────────────────── */
+const parseStockRow = (values) => {
+  const errors = [];
+  const text = (v) => (v === null || v === undefined ? '' : String(v).trim());
+  const date = (v) => (v instanceof Date ? v.toISOString().split('T')[0] : text(v) || null);
+
+  const line = {
+    godown: text(values.godown ?? values.godown_name),
+    product_type: text(values.product_type),
+    productname: text(values.productname ?? values.product_name),  // header "productname" or "Product Name"
+    brand: text(values.brand),
+    cases: Number(values.cases),
+    batch_no: text(values.batch_no) || null,
+    mfg_date: date(values.mfg_date),
+  };
+
+  if (!line.godown) errors.push('godown is required');
+  if (!line.product_type) errors.push('product_type is required');
+  if (!line.productname) errors.push('productname is required');
+  if (!line.brand) errors.push('brand is required');
+  if (!Number.isInteger(line.cases) || line.cases <= 0) errors.push('cases must be a positive whole number');
+  const batchError = checkBatch(line);
+  if (batchError) errors.push(batchError);
+
+  return { line, errors };
+};
+
+// POST /api/godowns/stock/import  (multipart "file", ?dry_run=true for a preview only)
+// Columns: godown, product_type, productname, brand, cases, and optionally batch_no, mfg_date.
+// Every row must match a godown and a catalog product; the whole sheet is written in one
+// transaction and all of its history rows carry the same IMP-<id> reference.
+exports.importOpeningStock = async (req, res) => {
+  const dryRun = String(req.query.dry_run ?? req.body?.dry_run ?? 'false') === 'true';
+  if (!req.file) return res.status(400).json({ message: 'Excel file is required' });
+
+  let rows;
+  try {
+    rows = await readSheetRows(req.file.buffer);
+  } catch (err) {
+    return res.status(400).json({ message: 'Could not read the Excel file' });
+  }
+  if (!rows.length) return res.status(400).json({ message: 'The sheet has no stock rows' });
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    const godowns = await client.query('SELECT id, name, archived_at FROM public.godown');
+    const godownFor = (value) => godowns.rows.find(g =>
+      String(g.id) === value || g.name === value.toLowerCase().replace(/\s+/g, '_')
+    );
+
+    const errors = [];
+    const preview = [];
+    const seen = new Set();
+
+    for (const { row, values } of rows) {
+      const { line, errors: rowErrors } = parseStockRow(values);
+      let unknownProduct = false;
+
+      const godown = line.godown ? godownFor(line.godown) : null;
+      if (line.godown && !godown) rowErrors.push(`unknown godown "${line.godown}"`);
+      if (godown?.archived_at) rowErrors.push(`godown "${godown.name}" is archived`);
+
+      let product = null;
+      if (line.product_type && line.productname && line.brand) {
+        const found = await client.query(
+          `SELECT id, product_type, productname, brand, per_case FROM public.product_catalog
+           WHERE ${typeKeySql('product_type')} = $1 AND LOWER(productname) = LOWER($2) AND LOWER(brand) = LOWER($3)`,
+          [typeKey(line.product_type), line.productname, line.brand]
+        );
+        product = found.rows[0] || null;
+        if (!product) {
+          unknownProduct = true;
+          rowErrors.push('product is not in the catalog');
+        }
+      }
+
+      const dupKey = `${godown?.id}|${product?.id}|${(line.batch_no || '').toLowerCase()}`;
+      if (godown && product && seen.has(dupKey)) rowErrors.push('duplicate of an earlier row in this file');
+      seen.add(dupKey);
+
+      if (rowErrors.length) {
+        errors.push({ row, unknown_product: unknownProduct, ...line, errors: rowErrors });
+        continue;
+      }
+
+      const existing = await client.query(
+        `SELECT id, current_cases FROM public.stock
+         WHERE godown_id = $1 AND product_type = $2 AND productname = $3 AND brand = $4`,
+        [godown.id, product.product_type, product.productname, product.brand]
+      );
+      preview.push({
+        row,
+        action: existing.rows.length ? 'add' : 'create',
+        godown_id: godown.id,
+        godown_name: godown.name,
+        product_id: product.id,
+        product_type: product.product_type,
+        productname: product.productname,
+        brand: product.brand,
+        per_case: product.per_case,
+        cases: line.cases,
+        batch_no: line.batch_no,
+        mfg_date: line.mfg_date,
+        current_cases: existing.rows[0]?.current_cases ?? 0,
+      });
+    }
+
+    const summary = {
+      dry_run: dryRun,
+      total_rows: rows.length,
+      valid_rows: preview.length,
+      unknown_products: errors.filter(e => e.unknown_product).length,
+      total_cases: preview.reduce((sum, p) => sum + p.cases, 0),
+      errors,
+      preview,
+    };
+
+    if (dryRun) return res.json(summary);
+    if (errors.length) return res.status(400).json({ message: 'Fix the listed rows and upload again', ...summary });
+
+    const createdBy = req.user?.username || null;
+    await client.query('BEGIN');
+    const header = await client.query(
+      `INSERT INTO public.stock_imports (file_name, row_count, total_cases, created_by)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [req.file.originalname || null, preview.length, summary.total_cases, createdBy]
+    );
+    const reference = `IMP-${header.rows[0].id}`;
+    await client.query('UPDATE public.stock_imports SET reference = $1 WHERE id = $2', [reference, header.rows[0].id]);
+
+    for (const p of preview) {
+      const fmtBrand = p.brand.toLowerCase().replace(/\s+/g, '_');
+      let brandRes = await client.query('SELECT id FROM public.brand WHERE name = $1', [fmtBrand]);
+      if (brandRes.rows.length === 0) {
+        brandRes = await client.query('INSERT INTO public.brand (name) VALUES ($1) RETURNING id', [fmtBrand]);
+      }
+
+      const stock = await addToStockRow(client, p.godown_id, { ...p, brand_id: brandRes.rows[0].id }, p.cases);
+      await recordMovement(client, { stockId: stock.id, action: 'added', cases: p.cases, perCase: p.per_case, reference, createdBy });
+      await addToBatch(client, stock.id, p, p.cases);
+    }
+
+    const warnings = [];
+    for (const godownId of new Set(preview.map(p => p.godown_id))) {
+      const warning = await capacityWarning(client, godownId);
+      if (warning) warnings.push(warning);
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Opening stock imported', reference, ...summary, warnings });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in importOpeningStock:', err.message);
+    res.status(500).json({ message: 'Failed to import stock' });
+  } finally {
+    client.release();
+  }
+};
@@ -1,6 +1,8 @@
 // backend/Controller/GodownAnalytics.controller.js
 const { Pool } = require('pg');
 const ExcelJS = require('exceljs');
+const { ensureStockSchema, STOCK_MATCHES_PRODUCT } = require('../utils/stock');
+const { typeKey, typeKeySql, isValidId, today } = require('../utils/catalog');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -10,14 +12,99 @@ const pool = new Pool({
   database: process.env.PGDATABASE,
 });
 
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// ?from=&to= (inclusive dates), godown_id, brand, product_type and compare=true; shared by the
+// JSON endpoint and the Excel export so both always cover the same movements
+const parseFilters = (query) => {
+  const { from = null, to = null, godown_id = null, brand = null, product_type = null } = query;
+  const compare = String(query.compare || 'false') === 'true';
+  if ((from && !isDate(from)) || (to && !isDate(to))) return { error: 'from and to must be YYYY-MM-DD' };
+  if (from && to && from > to) return { error: 'from must not be after to' };
+  if (godown_id && !isValidId(godown_id)) return { error: 'Invalid godown id' };
+  if (compare && !from) return { error: 'from is required to compare with last year' };
+  return { from, to, godownId: godown_id, brand, productType: product_type, compare };
+};
+
+// " AND ..." conditions over stock s and the dated column for the filters; values are appended to params.
+// lastYear moves the date range back one year for the comparison.
+const filterSql = (f, params, { dateColumn = 'h.date', lastYear = false } = {}) => {
+  const param = (value) => { params.push(value); return `$${params.length}`; };
+  const day = (value) => (lastYear ? `(${param(value)}::DATE - INTERVAL '1 year')::DATE` : `${param(value)}::DATE`);
+  const clauses = [];
+  if (f.from) clauses.push(`${dateColumn} >= ${day(f.from)}`);
+  if (f.to || lastYear) clauses.push(`${dateColumn} < ${day(f.to || today())} + 1`);
+  if (f.godownId) clauses.push(`s.godown_id = ${param(f.godownId)}`);
+  if (f.brand) clauses.push(`LOWER(s.brand) = LOWER(${param(f.brand)})`);
+  if (f.productType) clauses.push(`${typeKeySql('s.product_type')} = ${param(typeKey(f.productType))}`);
+  return clauses.map(c => ` AND ${c}`).join('');
+};
+
+const pctChange = (now, before) => (before ? Math.round(((now - before) / before) * 1000) / 10 : null);
+
+const COMPARISON_SQL = (where) => `
+  SELECT
+    g.id AS godown_id,
+    g.name AS godown_name,
+    COALESCE(SUM(h.cases) FILTER (WHERE h.action = 'added'), 0) AS intake,
+    COALESCE(SUM(h.cases) FILTER (WHERE h.action = 'taken'), 0) AS outtake
+  FROM public.stock_history h
+  JOIN public.stock s ON h.stock_id = s.id
+  JOIN public.godown g ON s.godown_id = g.id
+  WHERE h.action IN ('added', 'taken')${where}
+  GROUP BY g.id, g.name
+  ORDER BY g.name`;
+
+// Intake / outtake per godown for the filtered range and the same range a year earlier
+const loadComparison = async (f) => {
+  const current = [];
+  const previous = [];
+  const [now, lastYear, range] = await Promise.all([
+    pool.query(COMPARISON_SQL(filterSql(f, current)), current),
+    pool.query(COMPARISON_SQL(filterSql(f, previous, { lastYear: true })), previous),
+    pool.query(
+      `SELECT ($1::DATE - INTERVAL '1 year')::DATE::TEXT AS "from", ($2::DATE - INTERVAL '1 year')::DATE::TEXT AS "to"`,
+      [f.from, f.to || today()]
+    ),
+  ]);
+
+  const godowns = new Map();
+  const row = (r) => {
+    if (!godowns.has(r.godown_id)) {
+      godowns.set(r.godown_id, {
+        godownId: parseInt(r.godown_id), godownName: r.godown_name,
+        intake: 0, outtake: 0, lastYearIntake: 0, lastYearOuttake: 0
+      });
+    }
+    return godowns.get(r.godown_id);
+  };
+  now.rows.forEach(r => { const g = row(r); g.intake = parseInt(r.intake); g.outtake = parseInt(r.outtake); });
+  lastYear.rows.forEach(r => { const g = row(r); g.lastYearIntake = parseInt(r.intake); g.lastYearOuttake = parseInt(r.outtake); });
+
+  return {
+    from: range.rows[0].from,
+    to: range.rows[0].to,
+    godowns: [...godowns.values()].map(g => ({
+      ...g,
+      intakeChange: pctChange(g.intake, g.lastYearIntake),
+      outtakeChange: pctChange(g.outtake, g.lastYearOuttake)
+    }))
+  };
+};
+
 exports.getAllGodownsAnalytics = async (req, res) => {
   const { period = 'month' } = req.query;
 
   try {
+    const filters = parseFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+
     const dateFormat = period === 'day' ? 'YYYY-MM-DD' :
                       period === 'year' ? 'YYYY' : 'YYYY-MM';
+    await ensureStockSchema();
 
     // 1. Time-based Intake vs Outtake
+    const historyParams = [dateFormat];
     const history = await pool.query(`
       SELECT 
         g.id AS godown_id,
@@ -28,9 +115,10 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       FROM public.stock_history h
       JOIN public.stock s ON h.stock_id = s.id
       JOIN public.godown g ON s.godown_id = g.id
+      WHERE h.action IN ('added', 'taken')${filterSql(filters, historyParams)}
       GROUP BY g.id, g.name, period, h.action
       ORDER BY g.name, period
-    `, [dateFormat]);
+    `, historyParams);
 
     // Build chart data per godown
     const chartData = {};
@@ -65,6 +153,7 @@ exports.getAllGodownsAnalytics = async (req, res) => {
     });
 
     // 2. NEW: Product-wise Intake & Outtake per Godown
+    const productParams = [];
     const productQuery = await pool.query(`
       SELECT 
         g.id AS godown_id,
@@ -75,8 +164,9 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       FROM public.stock_history h
       JOIN public.stock s ON h.stock_id = s.id
       JOIN public.godown g ON s.godown_id = g.id
+      WHERE h.action IN ('added', 'taken')${filterSql(filters, productParams)}
       GROUP BY g.id, g.name, s.productname, h.action
-    `);
+    `, productParams);
 
     productQuery.rows.forEach(r => {
       const key = `${r.godown_id}-${r.godown_name}`;
@@ -110,7 +200,8 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       };
     });
 
-    // 3. Top 5 Products (global) — unchanged
+    // 3. Top 5 Products (moving cases between godowns is not outtake)
+    const topParams = [];
     const topProducts = await pool.query(`
       SELECT 
         s.productname,
@@ -119,12 +210,14 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       FROM public.stock_history h
       JOIN public.stock s ON h.stock_id = s.id
       WHERE h.action = 'taken'
+        AND (h.reference IS NULL OR h.reference NOT LIKE 'TR-%')${filterSql(filters, topParams)}
       GROUP BY s.productname, s.brand
       ORDER BY cases_taken DESC
       LIMIT 5
-    `);
+    `, topParams);
 
-    // 4. Agent Performance (global) — unchanged
+    // 4. Agent Performance, transfers left out for the same reason
+    const agentParams = [];
     const agentPerf = await pool.query(`
       SELECT 
         COALESCE(bn.agent_name, 'Unknown') AS agent,
@@ -133,8 +226,10 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       FROM public.stock_history h
       JOIN public.stock s ON h.stock_id = s.id
       LEFT JOIN public.brand bn ON s.brand = bn.name
+      WHERE h.action IN ('added', 'taken')
+        AND (h.reference IS NULL OR h.reference NOT LIKE 'TR-%')${filterSql(filters, agentParams)}
       GROUP BY agent, h.action
-    `);
+    `, agentParams);
 
     const agents = {};
     agentPerf.rows.forEach(r => {
@@ -144,7 +239,31 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       else agents[a].taken += parseInt(r.cases);
     });
 
+    // 5. Adjustments (damage, theft, samples, ...) reported on their own, not as intake / outtake
+    const adjustmentParams = [];
+    const adjustments = await pool.query(`
+      SELECT
+        g.id AS godown_id,
+        g.name AS godown_name,
+        a.reason,
+        SUM(CASE WHEN a.direction = 'in' THEN a.cases ELSE 0 END) AS cases_in,
+        SUM(CASE WHEN a.direction = 'out' THEN a.cases ELSE 0 END) AS cases_out
+      FROM public.stock_adjustments a
+      JOIN public.stock s ON a.stock_id = s.id
+      JOIN public.godown g ON s.godown_id = g.id
+      WHERE a.status = 'approved'${filterSql(filters, adjustmentParams, { dateColumn: 'a.created_at' })}
+      GROUP BY g.id, g.name, a.reason
+      ORDER BY g.name, a.reason
+    `, adjustmentParams);
+
+    // 6. Same range last year
+    const comparison = filters.compare ? await loadComparison(filters) : null;
+
     res.status(200).json({
+      filters: {
+        from: filters.from, to: filters.to, godownId: filters.godownId,
+        brand: filters.brand, productType: filters.productType
+      },
       chart,
       totals: Object.entries(totals).map(([key, t]) => {
         const [id, name] = key.split('-');
@@ -156,7 +275,15 @@ exports.getAllGodownsAnalytics = async (req, res) => {
       })),
       agentPerformance: Object.entries(agents).map(([agent, d]) => ({
         agent, added: d.added, taken: d.taken
-      }))
+      })),
+      adjustments: adjustments.rows.map(r => ({
+        godownId: parseInt(r.godown_id),
+        godownName: r.godown_name,
+        reason: r.reason,
+        in: parseInt(r.cases_in),
+        out: parseInt(r.cases_out)
+      })),
+      comparison
     });
 
   } catch (err) {
@@ -165,8 +292,15 @@ exports.getAllGodownsAnalytics = async (req, res) => {
   }
 };
 
+const ACTION_LABELS = { added: 'IN', taken: 'OUT', adj_in: 'ADJ IN', adj_out: 'ADJ OUT' };
+
 exports.exportAllToExcel = async (req, res) => {
   try {
+    const filters = parseFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
+
+    await ensureStockSchema();
+    const params = [];
     const history = await pool.query(`
       SELECT 
         g.id AS godown_id,
@@ -177,13 +311,17 @@ exports.exportAllToExcel = async (req, res) => {
         COALESCE(bn.agent_name, '-') AS agent_name,
         h.action,
         h.cases,
-        h.per_case_total
+        h.per_case_total,
+        h.reference,
+        a.reason
       FROM public.stock_history h
       JOIN public.stock s ON h.stock_id = s.id
       JOIN public.godown g ON s.godown_id = g.id
       LEFT JOIN public.brand bn ON s.brand = bn.name
+      LEFT JOIN public.stock_adjustments a ON h.action IN ('adj_in', 'adj_out') AND a.reference = h.reference
+      WHERE TRUE${filterSql(filters, params)}
       ORDER BY g.name, h.date DESC
-    `);
+    `, params);
 
     const wb = new ExcelJS.Workbook();
 
@@ -209,6 +347,8 @@ exports.exportAllToExcel = async (req, res) => {
         { header: 'Action', key: 'action', width: 10 },
         { header: 'Cases', key: 'cases', width: 10 },
         { header: 'Total Qty', key: 'total', width: 12 },
+        { header: 'Reference', key: 'reference', width: 12 },
+        { header: 'Reason', key: 'reason', width: 18 },
       ];
 
       g.rows.forEach(r => {
@@ -217,15 +357,33 @@ exports.exportAllToExcel = async (req, res) => {
           product: r.productname,
           brand: r.brand,
           agent: r.agent_name,
-          action: r.action === 'added' ? 'IN' : 'OUT',
+          action: ACTION_LABELS[r.action] || r.action,
           cases: r.cases,
-          total: r.per_case_total
+          total: r.per_case_total,
+          reference: r.reference || '',
+          reason: r.reason || ''
         });
       });
 
       ws.getRow(1).font = { bold: true };
     });
 
+    if (filters.compare) {
+      const comparison = await loadComparison(filters);
+      const ws = wb.addWorksheet('Comparison');
+      ws.columns = [
+        { header: 'Godown', key: 'godownName', width: 20 },
+        { header: `Intake ${filters.from} to ${filters.to || today()}`, key: 'intake', width: 26 },
+        { header: `Intake ${comparison.from} to ${comparison.to}`, key: 'lastYearIntake', width: 26 },
+        { header: 'Intake Change %', key: 'intakeChange', width: 16 },
+        { header: `Outtake ${filters.from} to ${filters.to || today()}`, key: 'outtake', width: 26 },
+        { header: `Outtake ${comparison.from} to ${comparison.to}`, key: 'lastYearOuttake', width: 26 },
+        { header: 'Outtake Change %', key: 'outtakeChange', width: 16 },
+      ];
+      comparison.godowns.forEach(g => ws.addRow(g));
+      ws.getRow(1).font = { bold: true };
+    }
+
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', 'attachment; filename=all_godowns_analytics.xlsx');
     await wb.xlsx.write(res);
@@ -234,4 +392,344 @@ exports.exportAllToExcel = async (req, res) => {
     console.error('Export Error:', err);
     res.status(500).json({ message: 'Export failed' });
   }
-};
\ No newline at end of file
+};
+
+/* ──────────────────────  ABC CLASSIFICATION  ────────────────────── */
+// Bill lines record product_type since bookings started saving it; older lines have none and are
+// matched on name and brand only
+const BILL_LINE_MATCHES_PRODUCT = (line, p) => `
+  ${line}.productname = LOWER(${p}.productname) AND ${line}.brand = LOWER(${p}.brand)
+  AND (${line}.product_type IS NULL OR ${line}.product_type = ${typeKeySql(`${p}.product_type`)})`;
+
+// Sales value per catalog product for a date range: billed line amounts where the product was billed,
+// otherwise outtake cases at the catalog price. Transfers between godowns are not sales.
+const SALES_VALUE_SQL = `
+  WITH bill_lines AS (
+    SELECT
+      LOWER(i->>'productname') AS productname,
+      LOWER(COALESCE(i->>'brand', '')) AS brand,
+      ${typeKeySql("i->>'product_type'")} AS product_type,
+      SUM((i->>'amount')::NUMERIC) AS amount
+    FROM public.bookings b, jsonb_array_elements(b.items) i
+    WHERE b.bill_date::DATE >= $1::DATE AND b.bill_date::DATE <= $2::DATE
+    GROUP BY 1, 2, 3
+  ), outtake AS (
+    SELECT p.id AS product_id, SUM(h.cases) AS cases
+    FROM public.stock_history h
+    JOIN public.stock s ON s.id = h.stock_id
+    JOIN public.product_catalog p ON ${STOCK_MATCHES_PRODUCT('s', 'p')}
+    WHERE h.action = 'taken'
+      AND (h.reference IS NULL OR h.reference NOT LIKE 'TR-%')
+      AND h.date >= $1::DATE AND h.date < $2::DATE + 1
+    GROUP BY p.id
+  )
+  SELECT
+    p.id AS product_id, p.product_type, p.productname, p.brand,
+    COALESCE(o.cases, 0)::INT AS outtake_cases,
+    COALESCE(bl.amount, COALESCE(o.cases, 0) * p.per_case * p.price, 0)::NUMERIC(14,2) AS sales_value
+  FROM public.product_catalog p
+  LEFT JOIN outtake o ON o.product_id = p.id
+  LEFT JOIN LATERAL (
+    SELECT SUM(bl.amount) AS amount FROM bill_lines bl WHERE ${BILL_LINE_MATCHES_PRODUCT('bl', 'p')}
+  ) bl ON TRUE
+  ORDER BY sales_value DESC, outtake_cases DESC, p.productname`;
+
+const ABC_SELECT = `
+  SELECT
+    c.season, c.product_id, p.product_type, p.productname, p.brand,
+    c.abc_class, c.sales_value, c.outtake_cases, c.share, c.cumulative_share, c.rank,
+    c.from_date::TEXT AS from_date, c.to_date::TEXT AS to_date, c.classified_by, c.classified_at
+  FROM public.product_abc_classes c
+  JOIN public.product_catalog p ON p.id = c.product_id`;
+
+const abcSummary = (rows) => ['A', 'B', 'C'].map(abcClass => {
+  const members = rows.filter(r => r.abc_class === abcClass);
+  return {
+    class: abcClass,
+    products: members.length,
+    sales_value: Math.round(members.reduce((sum, r) => sum + parseFloat(r.sales_value), 0) * 100) / 100,
+    share: Math.round(members.reduce((sum, r) => sum + parseFloat(r.share), 0) * 1000) / 1000
+  };
+});
+
+// POST /api/analytics/abc { season, from, to, a_share = 80, b_share = 95 }
+// Products are ranked by sales value; A takes products until a_share % of the value is covered,
+// B until b_share %, and the rest (including products that did not sell) are C. Re-running a season replaces it.
+exports.classifyAbc = async (req, res) => {
+  const { season, a_share = 80, b_share = 95 } = req.body;
+  const from = req.body.from || (/^\d{4}$/.test(String(season)) ? `${season}-01-01` : null);
+  const to = req.body.to || (/^\d{4}$/.test(String(season)) ? `${season}-12-31` : null);
+
+  if (!season || String(season).trim().length > 50) return res.status(400).json({ message: 'season is required (max 50 characters)' });
+  if (!isDate(from) || !isDate(to)) return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+  if (from > to) return res.status(400).json({ message: 'from must not be after to' });
+  const aShare = parseFloat(a_share);
+  const bShare = parseFloat(b_share);
+  if (!(aShare > 0) || !(bShare > aShare) || bShare > 100) {
+    return res.status(400).json({ message: 'a_share and b_share must satisfy 0 < a_share < b_share <= 100' });
+  }
+
+  await ensureStockSchema();
+  const client = await pool.connect();
+  try {
+    const values = await client.query(SALES_VALUE_SQL, [from, to]);
+    const total = values.rows.reduce((sum, r) => sum + parseFloat(r.sales_value), 0);
+    if (!(total > 0)) return res.status(400).json({ message: 'No sales found for this season' });
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM public.product_abc_classes WHERE season = $1', [String(season).trim()]);
+
+    let cumulative = 0;
+    for (const [idx, r] of values.rows.entries()) {
+      const value = parseFloat(r.sales_value);
+      const before = cumulative;
+      const share = (value / total) * 100;
+      cumulative += share;
+      const abcClass = value > 0 && before < aShare ? 'A' : value > 0 && before < bShare ? 'B' : 'C';
+
+      await client.query(
+        `INSERT INTO public.product_abc_classes
+         (season, product_id, abc_class, sales_value, outtake_cases, share, cumulative_share, rank, from_date, to_date, classified_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [String(season).trim(), r.product_id, abcClass, value, r.outtake_cases, share, Math.min(cumulative, 100), idx + 1, from, to, req.user?.username || null]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    const result = await pool.query(`${ABC_SELECT} WHERE c.season = $1 ORDER BY c.rank`, [String(season).trim()]);
+    res.status(201).json({
+      season: String(season).trim(), from, to, total_sales_value: Math.round(total * 100) / 100,
+      summary: abcSummary(result.rows),
+      products: result.rows
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('ABC Classification Error:', err);
+    res.status(500).json({ message: 'Failed to classify products' });
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/analytics/abc?season=&class=  (the season ending last when none is given)
+exports.getAbcClasses = async (req, res) => {
+  try {
+    await ensureStockSchema();
+    const seasons = await pool.query(
+      `SELECT season, MIN(from_date)::TEXT AS from_date, MIN(to_date)::TEXT AS to_date, MAX(classified_at) AS classified_at
+       FROM public.product_abc_classes
+       GROUP BY season
+       ORDER BY MAX(to_date) DESC, MAX(classified_at) DESC`
+    );
+    const season = req.query.season || seasons.rows[0]?.season;
+    if (!season) return res.json({ seasons: [], season: null, summary: abcSummary([]), products: [] });
+    if (!seasons.rows.some(s => s.season === season)) return res.status(404).json({ message: 'Season not classified' });
+
+    const result = await pool.query(`${ABC_SELECT} WHERE c.season = $1 ORDER BY c.rank`, [season]);
+    const abcClass = req.query.class ? String(req.query.class).toUpperCase() : null;
+    res.json({
+      seasons: seasons.rows,
+      season,
+      summary: abcSummary(result.rows),
+      products: abcClass ? result.rows.filter(r => r.abc_class === abcClass) : result.rows
+    });
+  } catch (err) {
+    console.error('ABC Fetch Error:', err);
+    res.status(500).json({ message: 'Failed to fetch ABC classes' });
+  }
+};
+
+/* ──────────────────────  DEMAND FORECAST  ────────────────────── */
+// Demand for the same window in each of the last `years` years, per catalog product: the larger of the
+// cases taken out of stock (transfers excluded) and the cases booked, since a booking may or may not
+// have moved stock yet. $1 / $2 are the upcoming window, $3 the number of years to look back.
+const PAST_DEMAND_SQL = `
+  WITH years AS (
+    SELECT
+      k AS years_ago,
+      ($1::DATE - make_interval(years => k))::DATE AS from_date,
+      ($2::DATE - make_interval(years => k))::DATE AS to_date
+    FROM generate_series(1, $3::INT) k
+  ), outtake AS (
+    SELECT y.years_ago, p.id AS product_id, SUM(h.cases) AS cases
+    FROM years y
+    JOIN public.stock_history h ON h.date >= y.from_date AND h.date < y.to_date + 1
+    JOIN public.stock s ON s.id = h.stock_id
+    JOIN public.product_catalog p ON ${STOCK_MATCHES_PRODUCT('s', 'p')}
+    WHERE h.action = 'taken' AND (h.reference IS NULL OR h.reference NOT LIKE 'TR-%')
+    GROUP BY y.years_ago, p.id
+  ), booked AS (
+    SELECT
+      y.years_ago,
+      LOWER(i->>'productname') AS productname,
+      LOWER(COALESCE(i->>'brand', '')) AS brand,
+      ${typeKeySql("i->>'product_type'")} AS product_type,
+      SUM((i->>'cases')::INT) AS cases
+    FROM years y
+    JOIN public.bookings b ON b.bill_date::DATE BETWEEN y.from_date AND y.to_date
+    CROSS JOIN LATERAL jsonb_array_elements(b.items) i
+    GROUP BY 1, 2, 3, 4
+  )
+  SELECT
+    p.id AS product_id, y.years_ago,
+    GREATEST(COALESCE(o.cases, 0), COALESCE(bk.cases, 0))::INT AS demand
+  FROM public.product_catalog p
+  CROSS JOIN years y
+  LEFT JOIN outtake o ON o.product_id = p.id AND o.years_ago = y.years_ago
+  LEFT JOIN LATERAL (
+    SELECT SUM(bk.cases) AS cases FROM booked bk
+    WHERE bk.years_ago = y.years_ago AND ${BILL_LINE_MATCHES_PRODUCT('bk', 'p')}
+  ) bk ON TRUE
+  WHERE ($4::TEXT IS NULL OR LOWER(p.brand) = LOWER($4))
+    AND ($5::TEXT IS NULL OR ${typeKeySql('p.product_type')} = $5)`;
+
+// What is on hand across all godowns, what bookings hold, and the product-wide reorder minimum
+const STOCK_POSITION_SQL = `
+  SELECT
+    p.id AS product_id, p.product_type, p.productname, p.brand, p.per_case,
+    COALESCE(SUM(s.current_cases), 0)::INT AS on_hand,
+    COALESCE(SUM(s.reserved_cases), 0)::INT AS reserved,
+    COALESCE(MAX(r.min_cases), 0)::INT AS min_cases
+  FROM public.product_catalog p
+  LEFT JOIN public.stock s ON ${STOCK_MATCHES_PRODUCT('s', 'p')}
+  LEFT JOIN public.reorder_levels r ON r.product_id = p.id AND r.godown_id IS NULL
+  WHERE ($1::TEXT IS NULL OR LOWER(p.brand) = LOWER($1))
+    AND ($2::TEXT IS NULL OR ${typeKeySql('p.product_type')} = $2)
+  GROUP BY p.id`;
+
+// ?from=&to= (the upcoming window), years=3, growth_percent=0, safety_percent=10, brand, product_type
+// Each past year is weighted by recency (last year counts `years` times, the oldest once); years before
+// the first recorded movement or booking are left out rather than counted as zero demand.
+const loadForecast = async (query) => {
+  const { from, to, brand = null, product_type = null } = query;
+  const years = parseInt(query.years || '3', 10);
+  const growth = parseFloat(query.growth_percent || '0');
+  const safety = parseFloat(query.safety_percent || '10');
+  if (!isDate(from) || !isDate(to)) return { error: 'from and to must be YYYY-MM-DD' };
+  if (from > to) return { error: 'from must not be after to' };
+  if (!(years >= 1 && years <= 10)) return { error: 'years must be between 1 and 10' };
+  if (isNaN(growth) || growth <= -100) return { error: 'growth_percent must be a number above -100' };
+  if (isNaN(safety) || safety < 0) return { error: 'safety_percent must not be negative' };
+
+  await ensureStockSchema();
+  const typeFilter = product_type ? typeKey(product_type) : null;
+  const [demand, position, firstData, windows] = await Promise.all([
+    pool.query(PAST_DEMAND_SQL, [from, to, years, brand, typeFilter]),
+    pool.query(STOCK_POSITION_SQL, [brand, typeFilter]),
+    pool.query(
+      `SELECT LEAST(
+         (SELECT MIN(date)::DATE FROM public.stock_history),
+         (SELECT MIN(bill_date::DATE) FROM public.bookings)
+       )::TEXT AS first_date`
+    ),
+    pool.query(
+      `SELECT k AS years_ago,
+         ($1::DATE - make_interval(years => k))::DATE::TEXT AS from_date,
+         ($2::DATE - make_interval(years => k))::DATE::TEXT AS to_date
+       FROM generate_series(1, $3::INT) k`,
+      [from, to, years]
+    ),
+  ]);
+
+  const firstDate = firstData.rows[0].first_date;
+  const used = windows.rows.filter(w => firstDate && w.to_date >= firstDate);
+  const weights = new Map(used.map(w => [w.years_ago, years - w.years_ago + 1]));
+  const totalWeight = [...weights.values()].reduce((a, b) => a + b, 0);
+
+  const history = new Map();
+  for (const r of demand.rows) {
+    if (!weights.has(r.years_ago)) continue;
+    if (!history.has(r.product_id)) history.set(r.product_id, []);
+    history.get(r.product_id).push({ years_ago: r.years_ago, demand: r.demand });
+  }
+
+  const products = [];
+  for (const p of position.rows) {
+    const past = (history.get(p.product_id) || []).sort((a, b) => a.years_ago - b.years_ago);
+    const weighted = totalWeight
+      ? past.reduce((sum, h) => sum + h.demand * weights.get(h.years_ago), 0) / totalWeight
+      : 0;
+    if (!weighted && !p.reserved) continue;
+
+    const projected = Math.ceil(weighted * (1 + growth / 100));
+    const available = p.on_hand - p.reserved;
+    const needed = Math.ceil(projected * (1 + safety / 100)) + p.min_cases - available;
+    products.push({
+      ...p,
+      history: past,
+      projected_cases: projected,
+      available_cases: available,
+      suggested_cases: Math.max(0, needed),
+      suggested_quantity: Math.max(0, needed) * p.per_case
+    });
+  }
+  products.sort((a, b) => b.suggested_cases - a.suggested_cases || b.projected_cases - a.projected_cases);
+
+  return {
+    from, to, years, growth_percent: growth, safety_percent: safety,
+    years_used: used,
+    totals: {
+      products: products.length,
+      projected_cases: products.reduce((sum, p) => sum + p.projected_cases, 0),
+      suggested_cases: products.reduce((sum, p) => sum + p.suggested_cases, 0),
+      products_to_buy: products.filter(p => p.suggested_cases > 0).length
+    },
+    products
+  };
+};
+
+// GET /api/analytics/forecast
+exports.getDemandForecast = async (req, res) => {
+  try {
+    const forecast = await loadForecast(req.query);
+    if (forecast.error) return res.status(400).json({ message: forecast.error });
+    res.json(forecast);
+  } catch (err) {
+    console.error('Forecast Error:', err);
+    res.status(500).json({ message: 'Failed to build forecast' });
+  }
+};
+
+// GET /api/analytics/forecast/export — the suggested purchase list plus the full forecast
+exports.exportDemandForecast = async (req, res) => {
+  try {
+    const forecast = await loadForecast(req.query);
+    if (forecast.error) return res.status(400).json({ message: forecast.error });
+
+    const wb = new ExcelJS.Workbook();
+    const columns = [
+      { header: 'Product Type', key: 'product_type', width: 16 },
+      { header: 'Product', key: 'productname', width: 28 },
+      { header: 'Brand', key: 'brand', width: 16 },
+      { header: 'Per Case', key: 'per_case', width: 10 },
+      ...forecast.years_used.map(w => ({ header: `${w.from_date} to ${w.to_date}`, key: `y${w.years_ago}`, width: 24 })),
+      { header: 'Projected Cases', key: 'projected_cases', width: 16 },
+      { header: 'On Hand', key: 'on_hand', width: 10 },
+      { header: 'Reserved', key: 'reserved', width: 10 },
+      { header: 'Available', key: 'available_cases', width: 10 },
+      { header: 'Min Cases', key: 'min_cases', width: 10 },
+      { header: 'Suggested Cases', key: 'suggested_cases', width: 16 },
+      { header: 'Suggested Qty', key: 'suggested_quantity', width: 14 },
+    ];
+    const row = (p) => ({ ...p, ...Object.fromEntries(p.history.map(h => [`y${h.years_ago}`, h.demand])) });
+
+    const purchase = wb.addWorksheet('Suggested Purchase');
+    purchase.columns = columns;
+    forecast.products.filter(p => p.suggested_cases > 0).forEach(p => purchase.addRow(row(p)));
+    purchase.getRow(1).font = { bold: true };
+
+    const all = wb.addWorksheet('Forecast');
+    all.columns = columns;
+    forecast.products.forEach(p => all.addRow(row(p)));
+    all.getRow(1).font = { bold: true };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=forecast_${forecast.from}_${forecast.to}.xlsx`);
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error('Forecast Export Error:', err);
+    res.status(500).json({ message: 'Forecast export failed' });
+  }
+};
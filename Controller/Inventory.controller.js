@@ -1,5 +1,11 @@
 // Controller/Inventory.controller.js
 const { Pool } = require('pg');
+const ExcelJS = require('exceljs');
+const {
+  ensureCatalog, typeKey, typeKeySql, isTypeName, resolveProductType, isValidId,
+  recordPriceChange, checkEffectiveDate
+} = require('../utils/catalog');
+const { readSheetRows, styleHeader, sendWorkbook } = require('../utils/excel');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -15,37 +21,28 @@ exports.addProduct = async (req, res) => {
     const { productname, price, per_case, brand, product_type } = req.body;
     if (!productname || !price || !per_case || !brand || !product_type)
       return res.status(400).json({ message: 'All required fields must be provided' });
+    if (!isTypeName(product_type)) return res.status(400).json({ message: 'Invalid product type' });
 
-    const tableName = product_type.toLowerCase().replace(/\s+/g, '_');
+    await ensureCatalog();
 
-    const typeCheck = await pool.query(
-      'SELECT product_type FROM public.products WHERE product_type = $1',
-      [product_type]
-    );
-
-    if (typeCheck.rows.length === 0) {
-      await pool.query('INSERT INTO public.products (product_type) VALUES ($1)', [product_type]);
-      await pool.query(`
-        CREATE TABLE IF NOT EXISTS public.${tableName} (
-          id BIGSERIAL PRIMARY KEY,
-          productname TEXT NOT NULL,
-          price NUMERIC(10,2) NOT NULL,
-          per_case INTEGER NOT NULL,
-          brand TEXT NOT NULL
-        )
-      `);
+    // "sky_shots" and "Sky Shots" are the same type: store the registered spelling
+    let type = await resolveProductType(product_type);
+    if (!type) {
+      type = product_type.trim();
+      await pool.query('INSERT INTO public.products (product_type) VALUES ($1)', [type]);
     }
 
     const dup = await pool.query(
-      `SELECT id FROM public.${tableName} WHERE productname = $1 AND brand = $2`,
-      [productname, brand]
+      `SELECT id FROM public.product_catalog
+       WHERE ${typeKeySql('product_type')} = $1 AND LOWER(productname) = LOWER($2) AND LOWER(brand) = LOWER($3)`,
+      [typeKey(type), productname, brand]
     );
     if (dup.rows.length) return res.status(400).json({ message: 'Product already exists for this brand' });
 
     const result = await pool.query(
-      `INSERT INTO public.${tableName} (productname, price, per_case, brand)
-       VALUES ($1,$2,$3,$4) RETURNING id`,
-      [productname, parseFloat(price), parseInt(per_case, 10), brand]
+      `INSERT INTO public.product_catalog (product_type, productname, price, per_case, brand)
+       VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+      [type, productname, parseFloat(price), parseInt(per_case, 10), brand]
     );
 
     res.status(201).json({ message: 'Product saved successfully', id: result.rows[0].id });
@@ -55,39 +52,74 @@ exports.addProduct = async (req, res) => {
   }
 };
 
+// :tableName is kept for route compatibility; it must be a registered product type
+// and the product (found by id) must belong to it. A price change is recorded in the
+// price history from effective_from (default today).
 exports.updateProduct = async (req, res) => {
+  const { tableName, id } = req.params;
+  const { productname, price, per_case, brand, effective_from } = req.body;
+  if (!productname || !price || !per_case || !brand)
+    return res.status(400).json({ message: 'All required fields must be provided' });
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid product id' });
+  if (!isTypeName(tableName)) return res.status(400).json({ message: 'Unknown product type' });
+
+  const client = await pool.connect();
   try {
-    const { tableName, id } = req.params;
-    const { productname, price, per_case, brand } = req.body;
-    if (!productname || !price || !per_case || !brand)
-      return res.status(400).json({ message: 'All required fields must be provided' });
+    await ensureCatalog();
+    if (!(await resolveProductType(tableName, client)))
+      return res.status(400).json({ message: 'Unknown product type' });
+
+    await client.query('BEGIN');
+    const current = await client.query(
+      `SELECT id, price FROM public.product_catalog
+       WHERE id=$1 AND ${typeKeySql('product_type')} = $2 FOR UPDATE`,
+      [id, typeKey(tableName)]
+    );
+    if (!current.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Product not found' });
+    }
 
-    const result = await pool.query(
-      `UPDATE public.${tableName}
-       SET productname=$1, price=$2, per_case=$3, brand=$4
-       WHERE id=$5 RETURNING id`,
-      [productname, parseFloat(price), parseInt(per_case, 10), brand, id]
+    const newPrice = parseFloat(price);
+    if (parseFloat(current.rows[0].price) !== newPrice) {
+      const dateError = await checkEffectiveDate(client, id, effective_from);
+      if (dateError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: dateError });
+      }
+    }
+
+    await client.query(
+      `UPDATE public.product_catalog
+       SET productname=$1, price=$2, per_case=$3, brand=$4, updated_at=CURRENT_TIMESTAMP
+       WHERE id=$5`,
+      [productname, newPrice, parseInt(per_case, 10), brand, id]
     );
+    await recordPriceChange(client, id, current.rows[0].price, newPrice, {
+      effectiveFrom: effective_from,
+      changedBy: req.user?.username,
+    });
 
-    if (!result.rows.length) return res.status(404).json({ message: 'Product not found' });
+    await client.query('COMMIT');
     res.json({ message: 'Product updated successfully' });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error(err);
     res.status(500).json({ message: 'Failed to update product' });
+  } finally {
+    client.release();
   }
 };
 
 exports.getProducts = async (req, res) => {
   try {
-    const types = await pool.query('SELECT product_type FROM public.products');
-    const all = [];
-
-    for (const { product_type } of types.rows) {
-      const tbl = product_type.toLowerCase().replace(/\s+/g, '_');
-      const rows = await pool.query(`SELECT id, productname, price, per_case, brand FROM public.${tbl}`);
-      all.push(...rows.rows.map(r => ({ ...r, product_type })));
-    }
-    res.json(all);
+    await ensureCatalog();
+    const result = await pool.query(`
+      SELECT id, productname, price, per_case, brand, product_type, hsn_code
+      FROM public.product_catalog
+      ORDER BY product_type, productname
+    `);
+    res.json(result.rows);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Failed to fetch products' });
@@ -97,8 +129,19 @@ exports.getProducts = async (req, res) => {
 exports.getProductsByType = async (req, res) => {
   try {
     const { productType } = req.params;
-    const tbl = productType.toLowerCase().replace(/\s+/g, '_');
-    const rows = await pool.query(`SELECT id, productname, price, case_count, per_case, brand FROM public.${tbl} ORDER BY productname`);
+    if (!isTypeName(productType)) return res.status(400).json({ message: 'Unknown product type' });
+
+    await ensureCatalog();
+    if (!(await resolveProductType(productType)))
+      return res.status(400).json({ message: 'Unknown product type' });
+
+    const rows = await pool.query(
+      `SELECT id, productname, price, per_case, brand, product_type
+       FROM public.product_catalog
+       WHERE ${typeKeySql('product_type')} = $1
+       ORDER BY productname`,
+      [typeKey(productType)]
+    );
     res.json(rows.rows);
   } catch (err) {
     console.error(err);
@@ -109,7 +152,18 @@ exports.getProductsByType = async (req, res) => {
 exports.deleteProduct = async (req, res) => {
   try {
     const { tableName, id } = req.params;
-    const result = await pool.query(`DELETE FROM public.${tableName} WHERE id=$1 RETURNING id`, [id]);
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid product id' });
+    if (!isTypeName(tableName)) return res.status(400).json({ message: 'Unknown product type' });
+
+    await ensureCatalog();
+    if (!(await resolveProductType(tableName)))
+      return res.status(400).json({ message: 'Unknown product type' });
+
+    const result = await pool.query(
+      `DELETE FROM public.product_catalog
+       WHERE id=$1 AND ${typeKeySql('product_type')} = $2 RETURNING id`,
+      [id, typeKey(tableName)]
+    );
     if (!result.rows.length) return res.status(404).json({ message: 'Product not found' });
     res.json({ message: 'Product deleted successfully' });
   } catch (err) {
@@ -118,26 +172,201 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
+/* ──────────────────────  CATALOG EXCEL IMPORT / EXPORT  ────────────────────── */
+const CATALOG_COLUMNS = [
+  { header: 'product_type', key: 'product_type', width: 20 },
+  { header: 'productname', key: 'productname', width: 30 },
+  { header: 'brand', key: 'brand', width: 18 },
+  { header: 'price', key: 'price', width: 12 },
+  { header: 'per_case', key: 'per_case', width: 10 },
+  { header: 'hsn_code', key: 'hsn_code', width: 12 },
+];
+
+// Validates one sheet row; returns { product, errors }
+const parseCatalogRow = (values) => {
+  const errors = [];
+  const text = (v) => (v === null || v === undefined ? '' : String(v).trim());
+
+  const product = {
+    product_type: text(values.product_type),
+    productname: text(values.productname ?? values.product_name),  // header "productname" or "Product Name"
+    brand: text(values.brand),
+    price: Number(values.price),
+    per_case: Number(values.per_case),
+    hsn_code: text(values.hsn_code) || null,
+  };
+
+  if (!product.product_type) errors.push('product_type is required');
+  else if (!isTypeName(product.product_type)) errors.push('product_type may only contain letters, digits, spaces, _, - and &');
+  if (!product.productname) errors.push('productname is required');
+  if (!product.brand) errors.push('brand is required');
+  if (!Number.isFinite(product.price) || product.price <= 0) errors.push('price must be a positive number');
+  if (!Number.isInteger(product.per_case) || product.per_case <= 0) errors.push('per_case must be a positive whole number');
+  if (product.hsn_code && !/^\d{4,8}$/.test(product.hsn_code)) errors.push('hsn_code must be 4 to 8 digits');
+
+  return { product, errors };
+};
+
+// POST /api/products/import  (multipart "file", ?dry_run=true for a preview only)
+// All rows must validate before anything is written; existing products (type + name + brand) are updated.
+exports.importProducts = async (req, res) => {
+  const dryRun = String(req.query.dry_run ?? req.body?.dry_run ?? 'false') === 'true';
+  if (!req.file) return res.status(400).json({ message: 'Excel file is required' });
+
+  let rows;
+  try {
+    rows = await readSheetRows(req.file.buffer);
+  } catch (err) {
+    return res.status(400).json({ message: 'Could not read the Excel file' });
+  }
+  if (!rows.length) return res.status(400).json({ message: 'The sheet has no product rows' });
+
+  const client = await pool.connect();
+  let inTransaction = false;
+  let currentRow = null;
+  try {
+    await ensureCatalog();
+
+    const errors = [];
+    const preview = [];
+    const seen = new Set();
+
+    for (const { row, values } of rows) {
+      const { product, errors: rowErrors } = parseCatalogRow(values);
+
+      const dupKey = `${typeKey(product.product_type)}|${product.productname.toLowerCase()}|${product.brand.toLowerCase()}`;
+      if (seen.has(dupKey)) rowErrors.push('duplicate of an earlier row in this file');
+      seen.add(dupKey);
+
+      if (rowErrors.length) {
+        errors.push({ row, errors: rowErrors });
+        continue;
+      }
+
+      const registered = await resolveProductType(product.product_type, client);
+      const existing = await client.query(
+        `SELECT id, price, per_case, hsn_code FROM public.product_catalog
+         WHERE ${typeKeySql('product_type')} = $1 AND LOWER(productname) = LOWER($2) AND LOWER(brand) = LOWER($3)`,
+        [typeKey(product.product_type), product.productname, product.brand]
+      );
+      const current = existing.rows[0];
+
+      let action = 'insert';
+      if (current) {
+        const same = parseFloat(current.price) === product.price
+          && current.per_case === product.per_case
+          && (current.hsn_code || null) === product.hsn_code;
+        action = same ? 'unchanged' : 'update';
+      }
+
+      preview.push({
+        row,
+        action,
+        new_product_type: !registered,
+        ...product,
+        product_type: registered || product.product_type,
+        id: current?.id || null,
+        old_price: current ? parseFloat(current.price) : null,
+      });
+    }
+
+    const summary = {
+      dry_run: dryRun,
+      total_rows: rows.length,
+      valid_rows: preview.length,
+      inserts: preview.filter(p => p.action === 'insert').length,
+      updates: preview.filter(p => p.action === 'update').length,
+      unchanged: preview.filter(p => p.action === 'unchanged').length,
+      errors,
+      preview,
+    };
+
+    if (dryRun) return res.json(summary);
+    if (errors.length) return res.status(400).json({ message: 'Fix the listed rows and upload again', ...summary });
+
+    await client.query('BEGIN');
+    inTransaction = true;
+    for (const p of preview) {
+      if (p.action === 'unchanged') continue;
+      currentRow = p.row;
+      if (p.new_product_type) {
+        const again = await resolveProductType(p.product_type, client);
+        if (!again) await client.query('INSERT INTO public.products (product_type) VALUES ($1)', [p.product_type]);
+      }
+      if (p.action === 'update') {
+        await client.query(
+          `UPDATE public.product_catalog
+           SET price = $1, per_case = $2, hsn_code = $3, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4`,
+          [p.price, p.per_case, p.hsn_code, p.id]
+        );
+        await recordPriceChange(client, p.id, p.old_price, p.price, {
+          source: 'import',
+          changedBy: req.user?.username,
+        });
+      } else {
+        await client.query(
+          `INSERT INTO public.product_catalog (product_type, productname, brand, price, per_case, hsn_code)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [p.product_type, p.productname, p.brand, p.price, p.per_case, p.hsn_code]
+        );
+      }
+    }
+    await client.query('COMMIT');
+    inTransaction = false;
+
+    res.status(201).json({ message: 'Products imported successfully', ...summary });
+  } catch (err) {
+    if (inTransaction) await client.query('ROLLBACK');
+    // Another request added the same type + name + brand after the preview was built
+    if (err.code === '23505') {
+      return res.status(400).json({
+        message: 'Fix the listed rows and upload again',
+        errors: [{ row: currentRow, errors: ['this product was added by someone else meanwhile; upload again to update it'] }],
+      });
+    }
+    console.error('importProducts:', err);
+    res.status(500).json({ message: 'Failed to import products' });
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/products/export — same layout as the import sheet, so it can be edited and re-uploaded
+exports.exportProducts = async (req, res) => {
+  try {
+    await ensureCatalog();
+    const result = await pool.query(`
+      SELECT product_type, productname, brand, price, per_case, hsn_code
+      FROM public.product_catalog
+      ORDER BY product_type, brand, productname
+    `);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Admin System';
+    const worksheet = workbook.addWorksheet('catalog');
+    worksheet.columns = CATALOG_COLUMNS;
+    result.rows.forEach(r => worksheet.addRow({ ...r, price: parseFloat(r.price) }));
+    styleHeader(worksheet);
+
+    await sendWorkbook(res, workbook, 'product_catalog.xlsx');
+  } catch (err) {
+    console.error('exportProducts:', err);
+    res.status(500).json({ message: 'Failed to export products' });
+  }
+};
+
 /* ──────────────────────  PRODUCT TYPE  ────────────────────── */
 exports.addProductType = async (req, res) => {
   try {
     const { product_type } = req.body;
     if (!product_type) return res.status(400).json({ message: 'Product type is required' });
+    if (!isTypeName(product_type)) return res.status(400).json({ message: 'Invalid product type' });
 
     const fmt = product_type.toLowerCase().replace(/\s+/g, '_');
-    const exists = await pool.query('SELECT 1 FROM public.products WHERE product_type=$1', [fmt]);
-    if (exists.rows.length) return res.status(400).json({ message: 'Product type already exists' });
+    if (await resolveProductType(fmt)) return res.status(400).json({ message: 'Product type already exists' });
 
     await pool.query('INSERT INTO public.products (product_type) VALUES ($1)', [fmt]);
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS public.${fmt} (
-        id BIGSERIAL PRIMARY KEY,
-        productname TEXT NOT NULL,
-        price NUMERIC(10,2) NOT NULL,
-        per_case INTEGER NOT NULL,
-        brand TEXT NOT NULL
-      )
-    `);
     res.status(201).json({ message: 'Product type created successfully' });
   } catch (err) {
     console.error(err);
@@ -0,0 +1,268 @@
+// Controller/Ledger.controller.js
+const { Pool } = require('pg');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { isValidId } = require('../utils/catalog');
+const { ensureStockSchema, STOCK_MATCHES_PRODUCT, SIGNED_CASES } = require('../utils/stock');
+const { styleHeader, sendWorkbook } = require('../utils/excel');
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+});
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+const fmtDate = (value) => {
+  const d = new Date(value);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+// stock_history.reference prefixes and the document each one points at
+const DOCUMENT_TYPES = { 'BILL-': 'bill', 'DC-': 'challan', 'TR-': 'transfer', 'ADJ-': 'adjustment', 'IMP-': 'import' };
+const documentType = (reference) => {
+  const prefix = Object.keys(DOCUMENT_TYPES).find(p => String(reference || '').startsWith(p));
+  return prefix ? DOCUMENT_TYPES[prefix] : null;
+};
+
+const ACTION_LABELS = { added: 'Added', taken: 'Taken', adj_in: 'Adjustment in', adj_out: 'Adjustment out' };
+
+// Which public.stock rows (alias s) each ledger covers, and the heading it is printed under. $1 is the id.
+const SCOPES = {
+  stock: {
+    notFound: 'Stock entry not found',
+    where: 's.id = $1',
+    title: `SELECT s.productname || ' (' || s.brand || ') - ' || g.name AS title
+            FROM public.stock s JOIN public.godown g ON g.id = s.godown_id WHERE s.id = $1`,
+  },
+  product: {
+    notFound: 'Product not found',
+    where: `EXISTS (SELECT 1 FROM public.product_catalog p WHERE p.id = $1 AND ${STOCK_MATCHES_PRODUCT('s', 'p')})`,
+    title: `SELECT productname || ' (' || brand || ') - all godowns' AS title FROM public.product_catalog WHERE id = $1`,
+  },
+  godown: {
+    notFound: 'Godown not found',
+    where: 's.godown_id = $1',
+    title: 'SELECT name AS title FROM public.godown WHERE id = $1',
+  },
+};
+
+// Bills and challans are found by their number; transfers, adjustments and imports carry their id
+const DOCUMENT_ID_SQL = `
+  CASE
+    WHEN h.reference LIKE 'BILL-%' THEN (SELECT b.id FROM public.bookings b WHERE b.bill_number = h.reference ORDER BY b.id DESC LIMIT 1)
+    WHEN h.reference LIKE 'DC-%' THEN (SELECT d.id FROM public.delivery d WHERE d.challan_number = h.reference ORDER BY d.id DESC LIMIT 1)
+    ELSE SUBSTRING(h.reference FROM '^(?:TR|ADJ|IMP)-(\\d+)$')::BIGINT
+  END`;
+
+// The opening balance is worked back from today's current_cases, so the ledger always closes on the
+// stock actually on hand even where older rows were never written to stock_history.
+const loadLedger = async (scope, id, from, to) => {
+  const { where, title } = SCOPES[scope];
+
+  const heading = await pool.query(title, [id]);
+  if (!heading.rows.length) return null;
+
+  const balance = await pool.query(
+    `SELECT
+       (SELECT COALESCE(SUM(s.current_cases), 0) FROM public.stock s WHERE ${where})::INT AS current_cases,
+       COALESCE((
+         SELECT SUM(${SIGNED_CASES('h')}) FROM public.stock_history h
+         JOIN public.stock s ON s.id = h.stock_id
+         WHERE ${where} AND ($2::DATE IS NULL OR h.date >= $2::DATE)
+       ), 0)::INT AS moved_since`,
+    [id, from]
+  );
+  const opening = balance.rows[0].current_cases - balance.rows[0].moved_since;
+
+  const movements = await pool.query(
+    `SELECT
+       h.id, h.date, h.action, h.cases, ${SIGNED_CASES('h')}::INT AS change,
+       h.per_case_total, h.reference, ${DOCUMENT_ID_SQL} AS document_id,
+       h.customer_name, h.created_by,
+       s.id AS stock_id, s.product_type, s.productname, s.brand, g.name AS godown_name
+     FROM public.stock_history h
+     JOIN public.stock s ON s.id = h.stock_id
+     JOIN public.godown g ON g.id = s.godown_id
+     WHERE ${where}
+       AND ($2::DATE IS NULL OR h.date >= $2::DATE)
+       AND ($3::DATE IS NULL OR h.date < $3::DATE + 1)
+     ORDER BY h.date, h.id`,
+    [id, from, to]
+  );
+
+  let running = opening;
+  let totalIn = 0;
+  let totalOut = 0;
+  const entries = movements.rows.map(m => {
+    running += m.change;
+    if (m.change > 0) totalIn += m.change;
+    else totalOut -= m.change;
+    return {
+      ...m,
+      cases_in: m.change > 0 ? m.change : 0,
+      cases_out: m.change < 0 ? -m.change : 0,
+      document_type: documentType(m.reference),
+      balance: running,
+    };
+  });
+
+  return {
+    scope,
+    id: Number(id),
+    title: heading.rows[0].title,
+    from,
+    to,
+    opening_balance: opening,
+    total_in: totalIn,
+    total_out: totalOut,
+    closing_balance: running,
+    entries,
+  };
+};
+
+/* ──────────────────────  EXPORTS  ────────────────────── */
+const periodText = (ledger) => `${ledger.from ? fmtDate(ledger.from) : 'Beginning'} to ${ledger.to ? fmtDate(ledger.to) : 'Today'}`;
+
+const sendLedgerExcel = async (res, ledger) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Admin System';
+  const worksheet = workbook.addWorksheet('Ledger');
+
+  worksheet.columns = [
+    { header: 'Date', key: 'date', width: 20 },
+    { header: 'Godown', key: 'godown_name', width: 18 },
+    { header: 'Product Type', key: 'product_type', width: 16 },
+    { header: 'Product Name', key: 'productname', width: 28 },
+    { header: 'Brand', key: 'brand', width: 16 },
+    { header: 'Action', key: 'action', width: 16 },
+    { header: 'Document', key: 'document_type', width: 12 },
+    { header: 'Reference', key: 'reference', width: 14 },
+    { header: 'Customer', key: 'customer_name', width: 22 },
+    { header: 'In', key: 'cases_in', width: 8 },
+    { header: 'Out', key: 'cases_out', width: 8 },
+    { header: 'Balance', key: 'balance', width: 10 },
+    { header: 'By', key: 'created_by', width: 14 },
+  ];
+  styleHeader(worksheet);
+
+  worksheet.addRow({ productname: 'Opening balance', balance: ledger.opening_balance }).font = { italic: true };
+  ledger.entries.forEach(e => {
+    worksheet.addRow({
+      ...e,
+      date: new Date(e.date).toLocaleString(),
+      action: ACTION_LABELS[e.action] || e.action,
+      document_type: e.document_type || '-',
+      reference: e.reference || '-',
+      customer_name: e.customer_name || '-',
+      created_by: e.created_by || '-',
+    });
+  });
+  worksheet.addRow({
+    productname: 'Closing balance',
+    cases_in: ledger.total_in,
+    cases_out: ledger.total_out,
+    balance: ledger.closing_balance,
+  }).font = { bold: true };
+
+  await sendWorkbook(res, workbook, `ledger_${ledger.scope}_${ledger.id}.xlsx`);
+};
+
+const generateLedgerPDF = (ledger) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 30, size: 'A4', layout: 'landscape' });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(16).font('Helvetica-Bold').text('STOCK LEDGER', { align: 'center' }).moveDown(0.5);
+    doc.font('Helvetica').fontSize(11);
+    doc.text(ledger.title, { align: 'center' });
+    doc.text(`Period : ${periodText(ledger)}`, { align: 'center' }).moveDown(1);
+
+    const headers = ['Date', 'Godown', 'Product', 'Action', 'Reference', 'Customer', 'In', 'Out', 'Balance'];
+    const colWidths = [70, 80, 170, 80, 70, 120, 45, 45, 55];
+    const tableStartX = 30;
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 18;
+    const cellPadding = 4;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    let y = doc.y;
+
+    const drawRow = (cells, font) => {
+      if (y + rowHeight > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      let x = tableStartX;
+      doc.lineWidth(0.4).strokeColor('black').rect(tableStartX, y, tableWidth, rowHeight).stroke();
+      doc.font(font).fontSize(8);
+      cells.forEach((text, i) => {
+        doc.text(text, x + cellPadding, y + cellPadding, { width: colWidths[i] - 2 * cellPadding, align: 'center', lineBreak: false, ellipsis: true });
+        x += colWidths[i];
+      });
+      y += rowHeight;
+    };
+
+    drawRow(headers, 'Helvetica-Bold');
+    drawRow(['', '', 'Opening balance', '', '', '', '', '', String(ledger.opening_balance)], 'Helvetica-Oblique');
+    ledger.entries.forEach(e => {
+      drawRow([
+        fmtDate(e.date),
+        e.godown_name || '',
+        `${e.productname} (${e.brand})`,
+        ACTION_LABELS[e.action] || e.action,
+        e.reference || '-',
+        e.customer_name || '-',
+        e.cases_in ? String(e.cases_in) : '',
+        e.cases_out ? String(e.cases_out) : '',
+        String(e.balance),
+      ], 'Helvetica');
+    });
+    drawRow(['', '', 'Closing balance', '', '', '', String(ledger.total_in), String(ledger.total_out), String(ledger.closing_balance)], 'Helvetica-Bold');
+
+    doc.end();
+  });
+};
+
+/* ──────────────────────  LEDGERS  ────────────────────── */
+// GET /api/ledger/{stock|products|godowns}/:id?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|excel|pdf
+const ledgerHandler = (scope) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from = null, to = null, format = 'json' } = req.query;
+    if (!isValidId(id)) return res.status(400).json({ message: `Invalid ${scope} id` });
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+    }
+    if (from && to && from > to) return res.status(400).json({ message: 'from must not be after to' });
+    if (!['json', 'excel', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: "format must be 'json', 'excel' or 'pdf'" });
+    }
+
+    await ensureStockSchema();
+    const ledger = await loadLedger(scope, id, from, to);
+    if (!ledger) return res.status(404).json({ message: SCOPES[scope].notFound });
+
+    if (format === 'excel') return sendLedgerExcel(res, ledger);
+    if (format === 'pdf') {
+      const pdfBuffer = await generateLedgerPDF(ledger);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=ledger_${scope}_${id}.pdf`);
+      return res.send(pdfBuffer);
+    }
+    res.json(ledger);
+  } catch (err) {
+    console.error(`Error in ${scope} ledger:`, err.message);
+    res.status(500).json({ message: 'Failed to build stock ledger' });
+  }
+};
+
+exports.getStockLedger = ledgerHandler('stock');
+exports.getProductLedger = ledgerHandler('product');
+exports.getGodownLedger = ledgerHandler('godown');
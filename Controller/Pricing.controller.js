@@ -0,0 +1,480 @@
+// Controller/Pricing.controller.js
+const { Pool } = require('pg');
+const {
+  ensureCatalog, isValidId, priceOn, today, typeKey, typeKeySql, recordPriceChange
+} = require('../utils/catalog');
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+});
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/* ──────────────────────  PRICE HISTORY  ────────────────────── */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid product id' });
+
+    await ensureCatalog();
+    const product = await pool.query(
+      'SELECT id, product_type, productname, brand, price FROM public.product_catalog WHERE id = $1',
+      [id]
+    );
+    if (!product.rows.length) return res.status(404).json({ message: 'Product not found' });
+
+    const history = await pool.query(
+      `SELECT
+         id, price,
+         CASE WHEN effective_from = '-infinity' THEN NULL ELSE effective_from::TEXT END AS effective_from,
+         effective_to::TEXT AS effective_to,
+         source, changed_by, changed_at
+       FROM public.product_price_history
+       WHERE product_id = $1
+       ORDER BY effective_from DESC, id DESC`,
+      [id]
+    );
+
+    const lists = await pool.query(
+      `SELECT pl.id, pl.name, pl.effective_from::TEXT AS effective_from, pl.effective_to::TEXT AS effective_to, pli.price
+       FROM public.price_list_items pli
+       JOIN public.price_lists pl ON pl.id = pli.price_list_id
+       WHERE pli.product_id = $1
+       ORDER BY pl.effective_from DESC`,
+      [id]
+    );
+
+    res.json({ product: product.rows[0], history: history.rows, price_lists: lists.rows });
+  } catch (err) {
+    console.error('getPriceHistory:', err);
+    res.status(500).json({ message: 'Failed to fetch price history' });
+  }
+};
+
+// GET /api/products/:id/price?date=YYYY-MM-DD&price_list_id=
+exports.getPriceOnDate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date = today(), price_list_id } = req.query;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid product id' });
+    if (!isDate(date)) return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+    if (price_list_id && !isValidId(price_list_id)) return res.status(400).json({ message: 'Invalid price list id' });
+
+    await ensureCatalog();
+    const price = await priceOn(pool, id, date, price_list_id || null);
+    if (price === null) return res.status(404).json({ message: 'Product not found' });
+
+    res.json({ product_id: Number(id), date, price });
+  } catch (err) {
+    console.error('getPriceOnDate:', err);
+    res.status(500).json({ message: 'Failed to resolve price' });
+  }
+};
+
+/* ──────────────────────  PRICE LISTS  ────────────────────── */
+const validatePriceList = ({ name, effective_from, effective_to, items }) => {
+  if (name !== undefined && !String(name).trim()) return 'Price list name is required';
+  if (effective_from !== undefined && !isDate(effective_from)) return 'effective_from must be YYYY-MM-DD';
+  if (effective_to && !isDate(effective_to)) return 'effective_to must be YYYY-MM-DD';
+  if (effective_from && effective_to && effective_to < effective_from) return 'effective_to cannot be before effective_from';
+  if (items !== undefined) {
+    if (!Array.isArray(items)) return 'items must be an array';
+    for (const [idx, item] of items.entries()) {
+      if (!isValidId(item.product_id)) return `Invalid product_id at item ${idx}`;
+      if (!(parseFloat(item.price) > 0)) return `Invalid price at item ${idx}`;
+    }
+  }
+  return null;
+};
+
+const saveItems = async (client, priceListId, items) => {
+  await client.query('DELETE FROM public.price_list_items WHERE price_list_id = $1', [priceListId]);
+  for (const item of items) {
+    await client.query(
+      `INSERT INTO public.price_list_items (price_list_id, product_id, price)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (price_list_id, product_id) DO UPDATE SET price = EXCLUDED.price`,
+      [priceListId, item.product_id, parseFloat(item.price)]
+    );
+  }
+};
+
+exports.getPriceLists = async (req, res) => {
+  try {
+    await ensureCatalog();
+    const result = await pool.query(`
+      SELECT
+        pl.id, pl.name, pl.effective_from::TEXT AS effective_from, pl.effective_to::TEXT AS effective_to,
+        pl.notes, pl.created_by, pl.created_at,
+        COUNT(pli.product_id)::INT AS item_count,
+        (pl.effective_from <= CURRENT_DATE AND (pl.effective_to IS NULL OR pl.effective_to >= CURRENT_DATE)) AS active
+      FROM public.price_lists pl
+      LEFT JOIN public.price_list_items pli ON pli.price_list_id = pl.id
+      GROUP BY pl.id
+      ORDER BY pl.effective_from DESC, pl.name
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('getPriceLists:', err);
+    res.status(500).json({ message: 'Failed to fetch price lists' });
+  }
+};
+
+exports.getPriceList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid price list id' });
+
+    await ensureCatalog();
+    const list = await pool.query(
+      `SELECT id, name, effective_from::TEXT AS effective_from, effective_to::TEXT AS effective_to,
+              notes, created_by, created_at
+       FROM public.price_lists WHERE id = $1`,
+      [id]
+    );
+    if (!list.rows.length) return res.status(404).json({ message: 'Price list not found' });
+
+    const items = await pool.query(
+      `SELECT p.id AS product_id, p.product_type, p.productname, p.brand,
+              p.price AS catalog_price, pli.price
+       FROM public.price_list_items pli
+       JOIN public.product_catalog p ON p.id = pli.product_id
+       WHERE pli.price_list_id = $1
+       ORDER BY p.product_type, p.productname`,
+      [id]
+    );
+
+    res.json({ ...list.rows[0], items: items.rows });
+  } catch (err) {
+    console.error('getPriceList:', err);
+    res.status(500).json({ message: 'Failed to fetch price list' });
+  }
+};
+
+// POST /api/price-lists { name, effective_from, effective_to?, notes?, items: [{ product_id, price }] }
+exports.createPriceList = async (req, res) => {
+  const { name, effective_from, effective_to = null, notes = null, items = [] } = req.body;
+  if (!name || !effective_from) return res.status(400).json({ message: 'Name and effective_from are required' });
+  const error = validatePriceList({ name, effective_from, effective_to, items });
+  if (error) return res.status(400).json({ message: error });
+
+  await ensureCatalog();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const dup = await client.query('SELECT id FROM public.price_lists WHERE LOWER(name) = LOWER($1)', [name.trim()]);
+    if (dup.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'A price list with this name already exists' });
+    }
+
+    const ins = await client.query(
+      `INSERT INTO public.price_lists (name, effective_from, effective_to, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [name.trim(), effective_from, effective_to || null, notes, req.user?.username || null]
+    );
+    await saveItems(client, ins.rows[0].id, items);
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Price list created', id: ins.rows[0].id });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('createPriceList:', err);
+    if (err.code === '23503') return res.status(400).json({ message: 'One or more products do not exist' });
+    res.status(500).json({ message: 'Failed to create price list' });
+  } finally {
+    client.release();
+  }
+};
+
+// PUT /api/price-lists/:id — any field may be omitted; items, when sent, replace the whole list
+exports.updatePriceList = async (req, res) => {
+  const { id } = req.params;
+  const { name, effective_from, effective_to, notes, items } = req.body;
+  if (!isValidId(id)) return res.status(400).json({ message: 'Invalid price list id' });
+  const error = validatePriceList({ name, effective_from, effective_to, items });
+  if (error) return res.status(400).json({ message: error });
+
+  await ensureCatalog();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const upd = await client.query(
+      `UPDATE public.price_lists
+       SET name = COALESCE($1, name),
+           effective_from = COALESCE($2::DATE, effective_from),
+           effective_to = CASE WHEN $3::BOOLEAN THEN $4::DATE ELSE effective_to END,
+           notes = COALESCE($5, notes)
+       WHERE id = $6
+       RETURNING id, effective_from, effective_to`,
+      [
+        name ? name.trim() : null,
+        effective_from || null,
+        effective_to !== undefined,
+        effective_to || null,
+        notes ?? null,
+        id
+      ]
+    );
+    if (!upd.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+    const { effective_from: from, effective_to: to } = upd.rows[0];
+    if (to && to < from) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'effective_to cannot be before effective_from' });
+    }
+
+    if (items !== undefined) await saveItems(client, id, items);
+
+    await client.query('COMMIT');
+    res.json({ message: 'Price list updated' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('updatePriceList:', err);
+    if (err.code === '23505') return res.status(400).json({ message: 'A price list with this name already exists' });
+    if (err.code === '23503') return res.status(400).json({ message: 'One or more products do not exist' });
+    res.status(500).json({ message: 'Failed to update price list' });
+  } finally {
+    client.release();
+  }
+};
+
+exports.deletePriceList = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid price list id' });
+
+    await ensureCatalog();
+    const del = await pool.query('DELETE FROM public.price_lists WHERE id = $1 RETURNING id', [id]);
+    if (!del.rows.length) return res.status(404).json({ message: 'Price list not found' });
+    res.json({ message: 'Price list deleted' });
+  } catch (err) {
+    console.error('deletePriceList:', err);
+    res.status(500).json({ message: 'Failed to delete price list' });
+  }
+};
+
+/* ──────────────────────  BULK PRICE REVISION  ────────────────────── */
+const ROUNDING = ['none', 'nearest', 'up', 'down'];
+
+const roundPrice = (price, rounding, step) => {
+  const fns = { nearest: Math.round, up: Math.ceil, down: Math.floor };
+  const rounded = rounding === 'none' ? price : fns[rounding](price / step) * step;
+  return Math.round(rounded * 100) / 100;
+};
+
+// Works out old vs new price for every product matching brand and/or product_type.
+// { brand?, product_type?, mode: 'percent' | 'fixed', value, rounding?, round_to? }
+const planRevision = async (db, body, lock = false) => {
+  const { brand, product_type, mode, rounding = 'none' } = body;
+  const value = parseFloat(body.value);
+  const round_to = parseFloat(body.round_to ?? 1);
+
+  if (!brand && !product_type) return { error: 'Select a brand and/or product type' };
+  if (!['percent', 'fixed'].includes(mode)) return { error: "mode must be 'percent' or 'fixed'" };
+  if (!Number.isFinite(value) || value === 0) return { error: 'value must be a non-zero number' };
+  if (!ROUNDING.includes(rounding)) return { error: `rounding must be one of ${ROUNDING.join(', ')}` };
+  if (!(round_to > 0)) return { error: 'round_to must be a positive number' };
+
+  const where = [];
+  const params = [];
+  if (brand) {
+    params.push(String(brand).trim());
+    where.push(`LOWER(brand) = LOWER($${params.length})`);
+  }
+  if (product_type) {
+    params.push(typeKey(product_type));
+    where.push(`${typeKeySql('product_type')} = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `SELECT id, product_type, productname, brand, price
+     FROM public.product_catalog
+     WHERE ${where.join(' AND ')}
+     ORDER BY product_type, productname
+     ${lock ? 'FOR UPDATE' : ''}`,
+    params
+  );
+
+  const items = result.rows.map(r => {
+    const old_price = parseFloat(r.price);
+    const raw = mode === 'percent' ? old_price * (1 + value / 100) : old_price + value;
+    return {
+      product_id: r.id,
+      product_type: r.product_type,
+      productname: r.productname,
+      brand: r.brand,
+      old_price,
+      new_price: roundPrice(raw, rounding, round_to),
+    };
+  });
+
+  const invalid = items.filter(i => !(i.new_price > 0));
+  if (invalid.length) {
+    return { error: 'The revision would make some prices zero or negative', invalid };
+  }
+
+  return {
+    params: { brand: brand || null, product_type: product_type || null, mode, value, rounding, round_to },
+    items,
+  };
+};
+
+// POST /api/price-revisions/preview
+exports.previewPriceRevision = async (req, res) => {
+  try {
+    await ensureCatalog();
+    const plan = await planRevision(pool, req.body);
+    if (plan.error) return res.status(400).json({ message: plan.error, invalid: plan.invalid });
+
+    res.json({
+      ...plan.params,
+      count: plan.items.length,
+      changed: plan.items.filter(i => i.old_price !== i.new_price).length,
+      items: plan.items,
+    });
+  } catch (err) {
+    console.error('previewPriceRevision:', err);
+    res.status(500).json({ message: 'Failed to preview price revision' });
+  }
+};
+
+// POST /api/price-revisions — same body as the preview
+exports.applyPriceRevision = async (req, res) => {
+  await ensureCatalog();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const plan = await planRevision(client, req.body, true);
+    if (plan.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: plan.error, invalid: plan.invalid });
+    }
+
+    const changes = plan.items.filter(i => i.old_price !== i.new_price);
+    if (!changes.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'No product prices would change' });
+    }
+
+    const { brand, product_type, mode, value, rounding, round_to } = plan.params;
+    const rev = await client.query(
+      `INSERT INTO public.price_revisions (brand, product_type, mode, value, rounding, round_to, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, created_at`,
+      [brand, product_type, mode, value, rounding, round_to, req.user?.username || null]
+    );
+    const revisionId = rev.rows[0].id;
+
+    for (const item of changes) {
+      await client.query(
+        'UPDATE public.product_catalog SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [item.new_price, item.product_id]
+      );
+      await client.query(
+        `INSERT INTO public.price_revision_items (revision_id, product_id, old_price, new_price)
+         VALUES ($1, $2, $3, $4)`,
+        [revisionId, item.product_id, item.old_price, item.new_price]
+      );
+      await recordPriceChange(client, item.product_id, item.old_price, item.new_price, {
+        source: 'revision',
+        changedBy: req.user?.username,
+      });
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Prices revised', revision_id: revisionId, changed: changes.length, items: changes });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('applyPriceRevision:', err);
+    res.status(500).json({ message: 'Failed to revise prices' });
+  } finally {
+    client.release();
+  }
+};
+
+exports.getPriceRevisions = async (req, res) => {
+  try {
+    await ensureCatalog();
+    const result = await pool.query(`
+      SELECT r.*, COUNT(i.product_id)::INT AS item_count
+      FROM public.price_revisions r
+      LEFT JOIN public.price_revision_items i ON i.revision_id = r.id
+      GROUP BY r.id
+      ORDER BY r.created_at DESC
+      LIMIT 50
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('getPriceRevisions:', err);
+    res.status(500).json({ message: 'Failed to fetch price revisions' });
+  }
+};
+
+// POST /api/price-revisions/undo — reverts the most recent revision that has not been undone.
+// Products edited by hand since the revision keep their newer price and are reported as skipped.
+exports.undoPriceRevision = async (req, res) => {
+  await ensureCatalog();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const last = await client.query(`
+      SELECT id FROM public.price_revisions
+      WHERE undone_at IS NULL
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+      FOR UPDATE
+    `);
+    if (!last.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'No price revision to undo' });
+    }
+    const revisionId = last.rows[0].id;
+
+    const items = await client.query(
+      `SELECT i.product_id, i.old_price, i.new_price, p.price AS current_price, p.productname, p.brand
+       FROM public.price_revision_items i
+       JOIN public.product_catalog p ON p.id = i.product_id
+       WHERE i.revision_id = $1
+       FOR UPDATE OF p`,
+      [revisionId]
+    );
+
+    const restored = [];
+    const skipped = [];
+    for (const item of items.rows) {
+      if (parseFloat(item.current_price) !== parseFloat(item.new_price)) {
+        skipped.push({ product_id: item.product_id, productname: item.productname, brand: item.brand, current_price: parseFloat(item.current_price) });
+        continue;
+      }
+      await client.query(
+        'UPDATE public.product_catalog SET price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [item.old_price, item.product_id]
+      );
+      await recordPriceChange(client, item.product_id, item.new_price, item.old_price, {
+        source: 'revision_undo',
+        changedBy: req.user?.username,
+      });
+      restored.push({ product_id: item.product_id, productname: item.productname, brand: item.brand, price: parseFloat(item.old_price) });
+    }
+
+    await client.query(
+      'UPDATE public.price_revisions SET undone_at = CURRENT_TIMESTAMP, undone_by = $1 WHERE id = $2',
+      [req.user?.username || null, revisionId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Price revision undone', revision_id: revisionId, restored, skipped });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('undoPriceRevision:', err);
+    res.status(500).json({ message: 'Failed to undo price revision' });
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,182 @@
+// Controller/Reorder.controller.js
+const { Pool } = require('pg');
+const { isValidId } = require('../utils/catalog');
+const { ensureStockSchema, refreshStockAlerts, STOCK_MATCHES_PRODUCT } = require('../utils/stock');
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+});
+
+const isCount = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+/* ──────────────────────  REORDER LEVELS  ────────────────────── */
+exports.getReorderLevels = async (req, res) => {
+  try {
+    const { godown_id } = req.query;
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    const result = await pool.query(
+      `SELECT
+         r.id, r.product_id, p.product_type, p.productname, p.brand,
+         r.godown_id, g.name AS godown_name,
+         r.min_cases, r.reorder_cases, r.updated_by, r.updated_at
+       FROM public.reorder_levels r
+       JOIN public.product_catalog p ON p.id = r.product_id
+       LEFT JOIN public.godown g ON g.id = r.godown_id
+       WHERE $1::BIGINT IS NULL OR r.godown_id = $1
+       ORDER BY p.product_type, p.productname, g.name NULLS FIRST`,
+      [godown_id || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('getReorderLevels:', err);
+    res.status(500).json({ message: 'Failed to fetch reorder levels' });
+  }
+};
+
+// PUT /api/reorder-levels { product_id, godown_id?, min_cases, reorder_cases }
+// Without godown_id the minimum applies to the product's stock across all godowns.
+exports.saveReorderLevel = async (req, res) => {
+  try {
+    const { product_id, godown_id = null, min_cases, reorder_cases = 0 } = req.body;
+    if (!isValidId(product_id)) return res.status(400).json({ message: 'Invalid product id' });
+    if (godown_id !== null && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+    if (!isCount(min_cases) || !isCount(reorder_cases)) {
+      return res.status(400).json({ message: 'min_cases and reorder_cases must be whole numbers of cases' });
+    }
+
+    await ensureStockSchema();
+    const product = await pool.query('SELECT id FROM public.product_catalog WHERE id = $1', [product_id]);
+    if (!product.rows.length) return res.status(404).json({ message: 'Product not found' });
+    if (godown_id !== null) {
+      const godown = await pool.query('SELECT id FROM public.godown WHERE id = $1', [godown_id]);
+      if (!godown.rows.length) return res.status(404).json({ message: 'Godown not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO public.reorder_levels (product_id, godown_id, min_cases, reorder_cases, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (product_id, COALESCE(godown_id, 0)) DO UPDATE
+         SET min_cases = EXCLUDED.min_cases,
+             reorder_cases = EXCLUDED.reorder_cases,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = CURRENT_TIMESTAMP
+       RETURNING id`,
+      [product_id, godown_id, Number(min_cases), Number(reorder_cases), req.user?.username || null]
+    );
+    await refreshStockAlerts(pool);
+
+    res.json({ message: 'Reorder level saved', id: result.rows[0].id });
+  } catch (err) {
+    console.error('saveReorderLevel:', err);
+    res.status(500).json({ message: 'Failed to save reorder level' });
+  }
+};
+
+exports.deleteReorderLevel = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid reorder level id' });
+
+    await ensureStockSchema();
+    const result = await pool.query('DELETE FROM public.reorder_levels WHERE id = $1 RETURNING id', [id]);
+    if (!result.rows.length) return res.status(404).json({ message: 'Reorder level not found' });
+    res.json({ message: 'Reorder level deleted' });
+  } catch (err) {
+    console.error('deleteReorderLevel:', err);
+    res.status(500).json({ message: 'Failed to delete reorder level' });
+  }
+};
+
+/* ──────────────────────  LOW STOCK  ────────────────────── */
+// GET /api/stock/low?godown_id=&days=90&cover_days=30
+// suggested_cases covers the average daily outtake of the last `days` for `cover_days`, plus the
+// minimum, minus what is on hand; never less than the configured reorder quantity.
+exports.getLowStock = async (req, res) => {
+  try {
+    const { godown_id } = req.query;
+    const days = parseInt(req.query.days || '90', 10);
+    const coverDays = parseInt(req.query.cover_days || '30', 10);
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+    if (!(days > 0) || !(coverDays > 0)) return res.status(400).json({ message: 'days and cover_days must be positive' });
+
+    await ensureStockSchema();
+    // Transfers only move stock between godowns, so they are not demand for a product-wide level
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT
+           r.id AS level_id, r.product_id, p.product_type, p.productname, p.brand, p.per_case,
+           r.godown_id, COALESCE(g.name, 'All godowns') AS godown_name,
+           r.min_cases, r.reorder_cases,
+           COALESCE((
+             SELECT SUM(s.current_cases) FROM public.stock s
+             WHERE ${STOCK_MATCHES_PRODUCT('s', 'p')}
+               AND (r.godown_id IS NULL OR s.godown_id = r.godown_id)
+           ), 0)::INT AS on_hand,
+           COALESCE((
+             SELECT SUM(h.cases) FROM public.stock_history h
+             JOIN public.stock s ON s.id = h.stock_id
+             WHERE ${STOCK_MATCHES_PRODUCT('s', 'p')}
+               AND (r.godown_id IS NULL OR s.godown_id = r.godown_id)
+               AND h.action = 'taken'
+               AND (r.godown_id IS NOT NULL OR h.reference IS NULL OR h.reference NOT LIKE 'TR-%')
+               AND h.date >= CURRENT_DATE - $2::INT
+           ), 0)::INT AS outtake
+         FROM public.reorder_levels r
+         JOIN public.product_catalog p ON p.id = r.product_id
+         LEFT JOIN public.godown g ON g.id = r.godown_id
+         WHERE $1::BIGINT IS NULL OR r.godown_id = $1
+       ) levels
+       WHERE on_hand < min_cases
+       ORDER BY (on_hand::NUMERIC / NULLIF(min_cases, 0)) NULLS LAST, productname`,
+      [godown_id || null, days]
+    );
+
+    res.json(result.rows.map(r => {
+      const dailyOuttake = r.outtake / days;
+      const needed = Math.ceil(dailyOuttake * coverDays) + r.min_cases - r.on_hand;
+      return {
+        ...r,
+        daily_outtake: Math.round(dailyOuttake * 100) / 100,
+        suggested_cases: Math.max(r.reorder_cases, needed)
+      };
+    }));
+  } catch (err) {
+    console.error('getLowStock:', err);
+    res.status(500).json({ message: 'Failed to fetch low stock' });
+  }
+};
+
+// GET /api/stock/alerts?status=open&godown_id=
+exports.getStockAlerts = async (req, res) => {
+  try {
+    const { status, godown_id } = req.query;
+    if (godown_id && !isValidId(godown_id)) return res.status(400).json({ message: 'Invalid godown id' });
+
+    await ensureStockSchema();
+    await refreshStockAlerts(pool);
+    const result = await pool.query(
+      `SELECT
+         a.id, a.level_id, a.product_id, p.product_type, p.productname, p.brand,
+         a.godown_id, COALESCE(g.name, 'All godowns') AS godown_name,
+         a.on_hand, a.min_cases, a.status, a.raised_at, a.resolved_at
+       FROM public.stock_alerts a
+       JOIN public.product_catalog p ON p.id = a.product_id
+       LEFT JOIN public.godown g ON g.id = a.godown_id
+       WHERE ($1::TEXT IS NULL OR a.status = $1)
+         AND ($2::BIGINT IS NULL OR a.godown_id = $2)
+       ORDER BY a.raised_at DESC
+       LIMIT 500`,
+      [status || null, godown_id || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('getStockAlerts:', err);
+    res.status(500).json({ message: 'Failed to fetch stock alerts' });
+  }
+};
@@ -1,5 +1,6 @@
 // Controller/Search.controller.js
 const { Pool } = require('pg');
+const { ensureStockSchema, STOCK_ABC_CLASS } = require('../utils/stock');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -14,6 +15,8 @@ exports.searchProducts = async (req, res) => {
     const { type = 'all', name = '' } = req.query;
     const searchName = `%${name}%`;
 
+    await ensureStockSchema();
+
     let query = `
         SELECT 
             s.product_type,
@@ -22,7 +25,10 @@ exports.searchProducts = async (req, res) => {
             COALESCE(b.agent_name, '-') AS agent_name,
             g.name AS godown_name,
             g.id AS godown_id,
-            s.current_cases
+            s.current_cases,
+            s.reserved_cases,
+            s.current_cases - s.reserved_cases AS available_cases,
+            ${STOCK_ABC_CLASS('s')} AS abc_class
         FROM public.stock s
         JOIN public.godown g ON s.godown_id = g.id
         LEFT JOIN public.brand b ON s.brand = b.name
@@ -1,5 +1,6 @@
 // controllers/dispatch.controller.js
 const { Pool } = require('pg');
+const { ensureStockSchema, fulfilReservation, consumeBatches, recordMovement } = require('../utils/stock');
 
 const pool = new Pool({
   user: process.env.PGUSER,
@@ -20,9 +21,86 @@ exports.createDispatch = async (req, res) => {
       return res.status(400).json({ message: "Invalid dispatch data" });
     }
 
+    await ensureStockSchema();
     await client.query('BEGIN');
 
+    const bookingRes = await client.query(
+      'SELECT items, bill_number, customer_name FROM public.bookings WHERE id = $1 FOR UPDATE',
+      [booking_id]
+    );
+    if (!bookingRes.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "Booking not found" });
+    }
+    const booking = bookingRes.rows[0];
+    const items = typeof booking.items === 'string' ? JSON.parse(booking.items) : (booking.items || []);
+
     for (const d of dispatches) {
+      const index = Number(d.product_index);
+      const cases = Number(d.dispatched_cases);
+      if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Invalid product_index ${d.product_index}` });
+      }
+      if (!Number.isInteger(cases) || cases <= 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `dispatched_cases must be a positive whole number for item ${index + 1}` });
+      }
+
+      const done = await client.query(
+        'SELECT COALESCE(SUM(dispatched_cases), 0)::INT AS cases FROM public.dispatch_logs WHERE booking_id = $1 AND product_index = $2',
+        [booking_id, index]
+      );
+      if (done.rows[0].cases + cases > Number(items[index].cases)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          message: `Only ${Number(items[index].cases) - done.rows[0].cases} cases of ${items[index].productname} are left to dispatch`
+        });
+      }
+
+      // Bookings that held stock (reserved, even if the hold expired) only leave the godown now;
+      // the others were deducted when they were billed
+      const held = await client.query(
+        `SELECT stock_id FROM public.stock_reservations
+         WHERE booking_id = $1 AND item_index = $2
+         ORDER BY created_at DESC, id DESC LIMIT 1`,
+        [booking_id, index]
+      );
+      if (held.rows.length) {
+        const stockId = held.rows[0].stock_id;
+        // Dispatched cases no longer need to be held for the booking
+        await fulfilReservation(client, booking_id, index, cases);
+
+        const stockRes = await client.query(
+          'SELECT current_cases - reserved_cases AS available, per_case FROM public.stock WHERE id = $1 FOR UPDATE',
+          [stockId]
+        );
+        if (!stockRes.rows.length || stockRes.rows[0].available < cases) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: `Insufficient stock to dispatch ${items[index].productname}` });
+        }
+        const consumed = await consumeBatches(client, stockId, cases);
+        if (consumed.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: consumed.error });
+        }
+        await client.query(
+          `UPDATE public.stock
+           SET current_cases = current_cases - $1, taken_cases = taken_cases + $1, last_taken_date = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+          [cases, stockId]
+        );
+        await recordMovement(client, {
+          stockId,
+          action: 'taken',
+          cases,
+          perCase: stockRes.rows[0].per_case,
+          reference: booking.bill_number,
+          createdBy: req.user?.username || null,
+          customerName: booking.customer_name,
+        });
+      }
+
       await client.query(
         `INSERT INTO public.dispatch_logs 
          (booking_id, product_index, product_name, brand, dispatched_cases, dispatched_qty,
@@ -72,8 +150,10 @@ exports.getAllDispatchLogs = async (req, res) => {
         dl.lr_number,
         dl.dispatched_at
       FROM public.dispatch_logs dl
+      LEFT JOIN public.bookings b ON b.id = dl.booking_id
+      WHERE ($1::TEXT IS NULL OR b.agent_name = $1)
       ORDER BY dl.dispatched_at DESC
-    `);
+    `, [req.user?.type === 'agent' ? req.user.username : null]);
     res.json(result.rows);
   } catch (err) {
     console.error("getAllDispatchLogs Error:", err);
@@ -96,8 +176,11 @@ exports.getDispatchLogsByBooking = async (req, res) => {
         dispatched_at
       FROM public.dispatch_logs 
       WHERE booking_id = $1 
+        AND ($2::TEXT IS NULL OR EXISTS (
+          SELECT 1 FROM public.bookings b WHERE b.id = $1 AND b.agent_name = $2
+        ))
       ORDER BY dispatched_at DESC
-    `, [booking_id]);
+    `, [booking_id, req.user?.type === 'agent' ? req.user.username : null]);
 
     res.json({ dispatch_logs: rows });
   } catch (err) {
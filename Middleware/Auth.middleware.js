@@ -0,0 +1,88 @@
+// Middleware/Auth.middleware.js
+const { Pool } = require('pg');
+const { verifyAccessToken } = require('../utils/token');
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+});
+
+// Account state is re-read at most this often per user; Admin.controller drops the copy on every change
+const USER_CACHE_MS = parseInt(process.env.AUTH_USER_CACHE_MS, 10) || 5000;
+const userCache = new Map();
+
+const loadUser = async (username) => {
+  const cached = userCache.get(username);
+  if (cached && Date.now() - cached.at < USER_CACHE_MS) return cached.user;
+
+  const result = await pool.query(
+    'SELECT username, type, disabled, must_change_password, token_version FROM public.user WHERE username = $1',
+    [username]
+  );
+  const user = result.rows[0] || null;
+  userCache.set(username, { user, at: Date.now() });
+  return user;
+};
+
+// Call after disabling a user, changing their role or password so the next request sees it
+const forgetUser = (username) => userCache.delete(username);
+
+// Verifies the Bearer token issued by /api/login, checks the account is still enabled and the token
+// not revoked (token_version), and exposes the caller as req.user. Until a forced password change is
+// done only the change-password route (allowPasswordChange) lets the user through.
+const authenticateUser = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
+
+  try {
+    const user = await loadUser(decoded.sub);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'User no longer exists' });
+    }
+    if (user.disabled) {
+      return res.status(403).json({ success: false, message: 'This account has been disabled' });
+    }
+    if ((decoded.ver || 0) !== user.token_version) {
+      return res.status(401).json({ success: false, message: 'Session has been revoked, please log in again' });
+    }
+    if (user.must_change_password && !allowPasswordChange) {
+      return res.status(403).json({ success: false, message: 'You must change your password first', must_change_password: true });
+    }
+
+    req.user = { username: user.username, type: user.type };
+    next();
+  } catch (err) {
+    console.error('Authenticate error:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+const authenticate = authenticateUser();
+const authenticatePasswordChange = authenticateUser({ allowPasswordChange: true });
+
+// Usage: router.delete('/booking/:id', authorize('admin'), deleteBooking)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+  if (!roles.includes(req.user.type)) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+module.exports = { authenticate, authenticatePasswordChange, authorize, forgetUser };
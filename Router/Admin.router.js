@@ -1,8 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../Controller/Admin.controller');
+const { authenticate, authenticatePasswordChange, authorize } = require('../Middleware/Auth.middleware');
 
 router.post('/login', authController.loginUser);
-router.post('/register', authController.registerUser);
+router.post('/register', authenticate, authorize('admin'), authController.registerUser);
+router.post('/refresh', authController.refreshSession);
+router.post('/change-password', authenticatePasswordChange, authController.changeOwnPassword);
+
+router.get('/users', authenticate, authorize('admin'), authController.listUsers);
+router.patch('/users/:username/status', authenticate, authorize('admin'), authController.setUserStatus);
+router.patch('/users/:username/role', authenticate, authorize('admin'), authController.changeUserRole);
+router.post('/users/:username/reset-password', authenticate, authorize('admin'), authController.resetUserPassword);
+router.post('/users/:username/unlock', authenticate, authorize('admin'), authController.unlockUser);
+router.get('/login-attempts', authenticate, authorize('admin'), authController.getLoginAttempts);
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,12 @@
 // Router/StockAnalysis.router.js
 const express = require('express');
 const router = express.Router();
-const { getStockAnalysis } = require('../Controller/Analysis.controller');
+const { getStockAnalysis, getStockValuation, exportStockValuation, getDeadStock } = require('../Controller/Analysis.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.get('/stock-analysis', getStockAnalysis);
+router.get('/stock-analysis', authorize('admin', 'agent'), getStockAnalysis);
+router.get('/stock-valuation', authorize('admin'), getStockValuation);
+router.get('/stock-valuation/export', authorize('admin'), exportStockValuation);
+router.get('/dead-stock', authorize('admin', 'agent'), getDeadStock);
 
 module.exports = router;
\ No newline at end of file
@@ -13,12 +13,13 @@ const {
   getLatestBillNo,
   
 } = require('../Controller/Billing.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/bookings', upload.single('pdf'), createBooking);
-router.get('/bookings', getAllBookings);
-router.get('/bookings/:id', getBookingById);
-router.get('/customers/recent', getRecentCustomers);
+router.post('/bookings', authorize('admin', 'agent'), upload.single('pdf'), createBooking);
+router.get('/bookings', authorize('admin', 'agent'), getAllBookings);
+router.get('/bookings/:id', authorize('admin', 'agent'), getBookingById);
+router.get('/customers/recent', authorize('admin', 'agent'), getRecentCustomers);
 router.get('/states', getStatesForSupply);
-router.get('/latest', getLatestBillNo);
+router.get('/latest', authorize('admin', 'agent'), getLatestBillNo);
 
 module.exports = router;
\ No newline at end of file
@@ -5,13 +5,18 @@ const {
   getAllProducts,
   updateProduct,
   deleteProduct,
-  getStates
+  getStates,
+  reconcileCatalogs,
+  mergeCatalogs
 } = require('../Controller/Binvent.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/tproducts', addProduct);
+router.post('/tproducts', authorize('admin'), addProduct);
 router.get('/tproducts', getAllProducts);
-router.put('/tproducts/:id', updateProduct);
-router.delete('/tproducts/:id', deleteProduct);
+router.put('/tproducts/:id', authorize('admin'), updateProduct);
+router.delete('/tproducts/:id', authorize('admin'), deleteProduct);
+router.get('/tproducts/reconcile', authorize('admin'), reconcileCatalogs);
+router.post('/tproducts/merge', authorize('admin'), mergeCatalogs);
 router.get('/states', getStates);
 
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,25 @@
 // routes/booking.js
 const express = require('express');
 const router = express.Router();
-const { createBooking, getBookings, getCustomers, searchProductsGlobal,editBooking,deleteBooking,convertChallanToBill,getBookingPDF } = require('../Controller/Booking.controller');
+const { createBooking, getBookings, getCustomers, searchProductsGlobal,editBooking,deleteBooking,convertChallanToBill,getBookingPDF,getReservations,releaseReservations } = require('../Controller/Booking.controller');
 const godownController = require('../Controller/Godown.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/godown', godownController.addGodown);
+router.post('/godown', authorize('admin'), godownController.addGodown);
 router.get('/godown', godownController.getGodowns);
-router.delete('/godown/:id', godownController.deleteGodown);
+router.delete('/godown/:id', authorize('admin'), godownController.deleteGodown);
 router.get('/godown/stock/:godown_id', godownController.getStockByGodown);
 
-router.post('/booking', createBooking);
-router.post('/booking/direct', createBooking);
-router.get('/booking', getBookings);
-router.get('/customers', getCustomers);
+router.post('/booking', authorize('admin', 'agent'), createBooking);
+router.post('/booking/direct', authorize('admin', 'agent'), createBooking);
+router.get('/booking', authorize('admin', 'agent'), getBookings);
+router.get('/customers', authorize('admin', 'agent'), getCustomers);
 router.get('/search/global', searchProductsGlobal);
-router.patch('/booking/:id', editBooking);
-router.delete('/booking/:id', deleteBooking);
-router.post('/challan/:id/convert', convertChallanToBill);
-router.get('/booking/pdf/:id', getBookingPDF);
+router.patch('/booking/:id', authorize('admin'), editBooking);
+router.delete('/booking/:id', authorize('admin'), deleteBooking);
+router.post('/challan/:id/convert', authorize('admin'), convertChallanToBill);
+router.get('/booking/pdf/:id', authorize('admin', 'agent'), getBookingPDF);
+router.get('/reservations', authorize('admin', 'agent'), getReservations);
+router.post('/booking/:id/release', authorize('admin'), releaseReservations);
 
 module.exports = router;
\ No newline at end of file
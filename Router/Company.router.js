@@ -7,11 +7,12 @@ const {
   getAllCompanies,
   deleteCompany
 } = require('../Controller/Company.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
 router.get('/company', getCompanyDetails);     // Load form
 router.get('/companies', getAllCompanies);
-router.post('/company', createCompany);        // Add new
-router.put('/company', updateCompany);         // Edit latest
-router.delete('/company/:id', deleteCompany);
+router.post('/company', authorize('admin'), createCompany);        // Add new
+router.put('/company', authorize('admin'), updateCompany);         // Edit latest
+router.delete('/company/:id', authorize('admin'), deleteCompany);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { createDeliveryChallan, getPendingChallans, getChallanById} = require('../Controller/Delivery.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/challan', createDeliveryChallan);
-router.get('/challans', getPendingChallans);
-router.get('/challan/:id', getChallanById);
+router.post('/challan', authorize('admin', 'agent'), createDeliveryChallan);
+router.get('/challans', authorize('admin', 'agent'), getPendingChallans);
+router.get('/challan/:id', authorize('admin', 'agent'), getChallanById);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Router/Godown.router.js
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const {
   addGodown,
@@ -10,22 +11,51 @@ const {
   takeStockFromGodown,
   getStockHistory,
   exportGodownStockToExcel,
-  addStockToExisting,editGodown,getGodownsFast,bulkAllocate
+  addStockToExisting,editGodown,getGodownsFast,bulkAllocate,
+  transferStock,getTransfers,getTransferNote,
+  adjustStock,getAdjustments,approveAdjustment,rejectAdjustment,
+  openStockCount,getStockCounts,getStockCount,enterCountLines,closeStockCount,cancelStockCount,
+  getStockBatches,getGodownBatches,getBatchAgeing,getExpiringLicences,
+  archiveGodown,restoreGodown,importOpeningStock
 } = require('../Controller/Godown.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/godowns', addGodown);
+const upload = multer({ limits: { fileSize: 10 * 1024 * 1024 } });
+
+router.post('/godowns', authorize('admin'), addGodown);
 router.get('/godowns', getGodowns);
-router.delete('/godowns/:id', deleteGodown);
+router.delete('/godowns/:id', authorize('admin'), deleteGodown);
+router.post('/godowns/:id/archive', authorize('admin'), archiveGodown);
+router.post('/godowns/:id/restore', authorize('admin'), restoreGodown);
 
-router.post('/godowns/:godown_id/stock', addStockToGodown);
+router.post('/godowns/:godown_id/stock', authorize('admin'), addStockToGodown);
 router.get('/godowns/:godown_id/stock', getStockByGodown);
-router.patch('/godowns/stock/take', takeStockFromGodown);
-router.patch('/godowns/stock/add', addStockToExisting);
+router.patch('/godowns/stock/take', authorize('admin', 'worker'), takeStockFromGodown);
+router.patch('/godowns/stock/add', authorize('admin', 'worker'), addStockToExisting);
+router.post('/godowns/stock/transfer', authorize('admin', 'worker'), transferStock);
+router.get('/godowns/transfers', getTransfers);
+router.get('/godowns/transfers/:id/note', getTransferNote);
+router.post('/godowns/stock/adjust', authorize('admin', 'worker'), adjustStock);
+router.get('/godowns/adjustments', authorize('admin', 'worker'), getAdjustments);
+router.patch('/godowns/adjustments/:id/approve', authorize('admin'), approveAdjustment);
+router.patch('/godowns/adjustments/:id/reject', authorize('admin'), rejectAdjustment);
+
+router.post('/godowns/:godown_id/counts', authorize('admin', 'worker'), openStockCount);
+router.get('/godowns/counts', authorize('admin', 'worker'), getStockCounts);
+router.get('/godowns/counts/:id', authorize('admin', 'worker'), getStockCount);
+router.patch('/godowns/counts/:id/lines', authorize('admin', 'worker'), enterCountLines);
+router.post('/godowns/counts/:id/close', authorize('admin'), closeStockCount);
+router.post('/godowns/counts/:id/cancel', authorize('admin'), cancelStockCount);
 
 router.get('/stock/:stock_id/history', getStockHistory);
-router.get('/godowns/export-excel', exportGodownStockToExcel);
-router.patch('/godowns/:id', editGodown);
+router.get('/stock/:stock_id/batches', getStockBatches);
+router.get('/godowns/:godown_id/batches', getGodownBatches);
+router.get('/godowns/:godown_id/batches/ageing', authorize('admin', 'agent'), getBatchAgeing);
+router.get('/godowns/export-excel', authorize('admin', 'agent'), exportGodownStockToExcel);
+router.patch('/godowns/:id', authorize('admin'), editGodown);
 router.get('/godowns/fast', getGodownsFast);
-router.post('/godowns/bulk-allocate', bulkAllocate);
+router.get('/godowns/licences/expiring', authorize('admin'), getExpiringLicences);
+router.post('/godowns/bulk-allocate', authorize('admin'), bulkAllocate);
+router.post('/godowns/stock/import', authorize('admin'), upload.single('file'), importOpeningStock);
 
 module.exports = router;
\ No newline at end of file
@@ -3,10 +3,19 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllGodownsAnalytics,
-  exportAllToExcel
+  exportAllToExcel,
+  classifyAbc,
+  getAbcClasses,
+  getDemandForecast,
+  exportDemandForecast
 } = require('../Controller/GodownAnalytics.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.get('/analytics/all', getAllGodownsAnalytics);
-router.get('/analytics/all/export', exportAllToExcel);
+router.get('/analytics/all', authorize('admin', 'agent'), getAllGodownsAnalytics);
+router.get('/analytics/all/export', authorize('admin', 'agent'), exportAllToExcel);
+router.get('/analytics/abc', authorize('admin', 'agent'), getAbcClasses);
+router.post('/analytics/abc', authorize('admin'), classifyAbc);
+router.get('/analytics/forecast', authorize('admin', 'agent'), getDemandForecast);
+router.get('/analytics/forecast/export', authorize('admin'), exportDemandForecast);
 
 module.exports = router;
\ No newline at end of file
@@ -1,25 +1,32 @@
 // Router/Inventory.router.js
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const {
   addProduct, getProducts, addProductType, getProductTypes,
   updateProduct, deleteProduct,
   addBrand, getBrands, updateBrand, deleteBrand,
-  getProductsByType
+  getProductsByType,
+  importProducts, exportProducts
 } = require('../Controller/Inventory.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/products', addProduct);
+const upload = multer({ limits: { fileSize: 10 * 1024 * 1024 } });
+
+router.post('/products', authorize('admin'), addProduct);
 router.get('/products', getProducts);
+router.get('/products/export', authorize('admin'), exportProducts);   // before /products/:productType
+router.post('/products/import', authorize('admin'), upload.single('file'), importProducts);
 router.get('/products/:productType', getProductsByType);
-router.put('/products/:tableName/:id', updateProduct);
-router.delete('/products/:tableName/:id', deleteProduct);
+router.put('/products/:tableName/:id', authorize('admin'), updateProduct);
+router.delete('/products/:tableName/:id', authorize('admin'), deleteProduct);
 
-router.post('/product-types', addProductType);
+router.post('/product-types', authorize('admin'), addProductType);
 router.get('/product-types', getProductTypes);
 
-router.post('/brands', addBrand);
+router.post('/brands', authorize('admin'), addBrand);
 router.get('/brands', getBrands);
-router.put('/brands/:id', updateBrand);      // NEW
-router.delete('/brands/:id', deleteBrand);  // NEW
+router.put('/brands/:id', authorize('admin'), updateBrand);      // NEW
+router.delete('/brands/:id', authorize('admin'), deleteBrand);  // NEW
 
 module.exports = router;
\ No newline at end of file
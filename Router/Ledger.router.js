@@ -0,0 +1,11 @@
+// Router/Ledger.router.js
+const express = require('express');
+const router = express.Router();
+const { getStockLedger, getProductLedger, getGodownLedger } = require('../Controller/Ledger.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
+
+router.get('/ledger/stock/:id', authorize('admin', 'agent', 'worker'), getStockLedger);
+router.get('/ledger/products/:id', authorize('admin', 'agent', 'worker'), getProductLedger);
+router.get('/ledger/godowns/:id', authorize('admin', 'agent', 'worker'), getGodownLedger);
+
+module.exports = router;
@@ -2,19 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const ctrl = require('../Controller/Payments.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/admins', ctrl.createAdmin);
-router.get('/admins', ctrl.getAdmins);
-router.get('/admins/:id/transactions', ctrl.getAdminTransactions);
-router.post('/admins/bank-accounts', ctrl.addBankAccount);
-router.get('/admins/:username/bank-accounts', ctrl.getBankAccounts);
+// Payments and admin bank details are admin-only
+const adminOnly = authorize('admin');
 
-router.get('/pending', ctrl.getPending);
-router.post('/payment', ctrl.recordPayment);
-router.get('/payments/:id', ctrl.getPaymentHistory);
+router.post('/admins', adminOnly, ctrl.createAdmin);
+router.get('/admins', adminOnly, ctrl.getAdmins);
+router.get('/admins/:id/transactions', adminOnly, ctrl.getAdminTransactions);
+router.post('/admins/bank-accounts', adminOnly, ctrl.addBankAccount);
+router.get('/admins/:username/bank-accounts', adminOnly, ctrl.getBankAccounts);
 
-router.get('/sbooking', ctrl.getsBookings);
-router.get('/dispatch_logs/:order_id', ctrl.getDispatchLogs);
-router.get('/transactions/:id', ctrl.getTransactions);
+router.get('/pending', adminOnly, ctrl.getPending);
+router.post('/payment', adminOnly, ctrl.recordPayment);
+router.get('/payments/:id', adminOnly, ctrl.getPaymentHistory);
+
+router.get('/sbooking', adminOnly, ctrl.getsBookings);
+router.get('/dispatch_logs/:order_id', adminOnly, ctrl.getDispatchLogs);
+router.get('/transactions/:id', adminOnly, ctrl.getTransactions);
 
 module.exports = router;
\ No newline at end of file
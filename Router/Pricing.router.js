@@ -0,0 +1,25 @@
+// Router/Pricing.router.js
+const express = require('express');
+const router = express.Router();
+const {
+  getPriceHistory, getPriceOnDate,
+  getPriceLists, getPriceList, createPriceList, updatePriceList, deletePriceList,
+  previewPriceRevision, applyPriceRevision, getPriceRevisions, undoPriceRevision
+} = require('../Controller/Pricing.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
+
+router.get('/products/:id/price-history', authorize('admin', 'agent'), getPriceHistory);
+router.get('/products/:id/price', getPriceOnDate);
+
+router.get('/price-lists', authorize('admin', 'agent'), getPriceLists);
+router.get('/price-lists/:id', authorize('admin', 'agent'), getPriceList);
+router.post('/price-lists', authorize('admin'), createPriceList);
+router.put('/price-lists/:id', authorize('admin'), updatePriceList);
+router.delete('/price-lists/:id', authorize('admin'), deletePriceList);
+
+router.get('/price-revisions', authorize('admin'), getPriceRevisions);
+router.post('/price-revisions/preview', authorize('admin'), previewPriceRevision);
+router.post('/price-revisions/undo', authorize('admin'), undoPriceRevision);
+router.post('/price-revisions', authorize('admin'), applyPriceRevision);
+
+module.exports = router;
\ No newline at end of file
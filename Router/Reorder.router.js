@@ -0,0 +1,16 @@
+// Router/Reorder.router.js
+const express = require('express');
+const router = express.Router();
+const {
+  getReorderLevels, saveReorderLevel, deleteReorderLevel, getLowStock, getStockAlerts
+} = require('../Controller/Reorder.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
+
+router.get('/reorder-levels', authorize('admin', 'agent'), getReorderLevels);
+router.put('/reorder-levels', authorize('admin'), saveReorderLevel);
+router.delete('/reorder-levels/:id', authorize('admin'), deleteReorderLevel);
+
+router.get('/stock/low', authorize('admin', 'agent'), getLowStock);
+router.get('/stock/alerts', authorize('admin', 'agent'), getStockAlerts);
+
+module.exports = router;
@@ -2,9 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const { createDispatch, getAllDispatchLogs, getDispatchLogsByBooking} = require('../Controller/Wdispatch.controller');
+const { authorize } = require('../Middleware/Auth.middleware');
 
-router.post('/dispatch',createDispatch);
-router.get('/dispatch_logs/all',getAllDispatchLogs);
-router.get('/dispatch_logs/:booking_id', getDispatchLogsByBooking);
+router.post('/dispatch', authorize('admin'), createDispatch);
+router.get('/dispatch_logs/all', authorize('admin', 'agent'), getAllDispatchLogs);
+router.get('/dispatch_logs/:booking_id', authorize('admin', 'agent'), getDispatchLogsByBooking);
 
 module.exports = router;
\ No newline at end of file
@@ -4,9 +4,18 @@ const multer = require('multer');
 const path = require('path');
 const { Pool } = require('pg');
 require('dotenv').config();
+const { authenticate } = require('./Middleware/Auth.middleware');
+const { ensureCatalog } = require('./utils/catalog');
+const { ensureStockSchema, expireReservations } = require('./utils/stock');
 
 const app = express();
 
+// req.ip feeds the login throttle, so behind a reverse proxy it must come from X-Forwarded-For.
+// TRUST_PROXY takes Express's values: a hop count, true/false, or addresses / subnets.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY)
+  : TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -21,10 +30,16 @@ const pool = new Pool({
 
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// Login / refresh stay public; everything mounted below requires a session token
+app.use('/api', require('./Router/Admin.router'));
+app.use('/api', authenticate);
+
 app.use('/api', require('./Router/Inventory.router'));
+app.use('/api', require('./Router/Pricing.router'));
 app.use('/api', require('./Router/Godown.router'));
-app.use('/api', require('./Router/Admin.router'));
 app.use('/api', require('./Router/Analysis.router'));
+app.use('/api', require('./Router/Reorder.router'));
+app.use('/api', require('./Router/Ledger.router'));
 app.use('/api', require('./Router/Search.router'));
 app.use('/api', require('./Router/GodownAnalytics.router'));
 app.use('/api', require('./Router/Booking.router'));
@@ -43,6 +58,18 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Creates public.product_catalog and folds the legacy per-type tables into it on first boot
+ensureCatalog().catch(err => console.error('Catalog migration failed:', err.message));
+// Stock / history tables, the extra history columns and the widened action check
+ensureStockSchema().catch(err => console.error('Stock schema migration failed:', err.message));
+// Lapsed booking reservations give their cases back here, so stock reads never write
+const RESERVATION_SWEEP_MS = parseInt(process.env.RESERVATION_SWEEP_MS, 10) || 60 * 1000;
+setInterval(() => {
+  ensureStockSchema()
+    .then(expireReservations)
+    .catch(err => console.error('Reservation expiry failed:', err.message));
+}, RESERVATION_SWEEP_MS).unref();
+
 const PORT = process.env.PORT || 5000;
 app.listen(5000, "0.0.0.0", () => {
   console.log("Server running on port 5000");
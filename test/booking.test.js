@@ -0,0 +1,127 @@
+// test/booking.test.js
+// Booking handlers against a scripted pg stub: each query is recorded and answered by the first
+// matching entry in `answers`, so the tests can check what was written without a database.
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Pool } = require('pg');
+
+const queries = [];
+let answers = [];
+const fakeClient = {
+  query: async (text, params = []) => {
+    const sql = typeof text === 'string' ? text : text.text;
+    queries.push({ sql, params });
+    const answer = answers.find(([pattern]) => pattern.test(sql));
+    const rows = answer ? answer[1](params) : [];
+    return { rows, rowCount: rows.length };
+  },
+  release: () => {},
+};
+Pool.prototype.query = fakeClient.query;
+Pool.prototype.connect = async () => fakeClient;
+
+const { ensureStockSchema } = require('../utils/stock');
+const booking = require('../Controller/Booking.controller');
+
+const mockRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = res.json;
+  return res;
+};
+
+const ran = (pattern) => queries.filter(q => pattern.test(q.sql));
+
+before(async () => {
+  // Schema setup runs once per process; keep it out of the per-request queries
+  await ensureStockSchema();
+});
+
+beforeEach(() => {
+  queries.length = 0;
+  answers = [];
+});
+
+test('deleting a reserved booking releases its reservations', async () => {
+  answers = [
+    // pg returns the jsonb items column as an array, not a string
+    [/SELECT items, customer_name, bill_number[\s\S]*FROM public\.bookings/, () => [{
+      items: [{ s_no: 1, productname: 'Flower Pot', brand: 'Standard', cases: 4, per_case: 10 }],
+      customer_name: 'Ravi Traders',
+      bill_number: 'BILL-12',
+    }]],
+    [/FROM public\.stock_reservations\s+WHERE status = 'active'/, () => [{ id: 3, stock_id: 7, remaining_cases: 4 }]],
+  ];
+
+  const res = mockRes();
+  await booking.deleteBooking({ params: { id: '12' }, user: { username: 'admin', type: 'admin' } }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  const released = ran(/UPDATE public\.stock SET reserved_cases = GREATEST/);
+  assert.deepStrictEqual(released.map(q => q.params), [[4, 7]]);
+  assert.strictEqual(ran(/^COMMIT$/).length, 1);
+  assert.strictEqual(ran(/^ROLLBACK$/).length, 0);
+});
+
+test('two lines on the same stock row cannot reserve more than is available', async () => {
+  answers = [
+    [/SELECT current_cases - reserved_cases AS available FROM public\.stock/, () => [{ available: 5 }]],
+  ];
+
+  const line = { id: 7, productname: 'Flower Pot', brand: 'Standard', cases: 3, per_case: 10, rate_per_box: 100 };
+  const res = mockRes();
+  await booking.createBooking({
+    body: { customer_name: 'Ravi Traders', to: 'Madurai', through: 'Lorry', items: [line, { ...line }] },
+    user: { username: 'admin', type: 'admin' },
+  }, res);
+
+  assert.strictEqual(res.statusCode, 500);
+  assert.match(res.body.message, /Insufficient stock/);
+  assert.strictEqual(ran(/INSERT INTO public\.stock_reservations/).length, 0);
+  assert.strictEqual(ran(/^ROLLBACK$/).length, 1);
+});
+
+test('editing a reserved booking reserves the new items instead of deducting them', async () => {
+  answers = [
+    [/SELECT items, pdf_path, bill_number[\s\S]*FROM public\.bookings/, () => [{
+      items: [{ s_no: 1, stock_id: 7, productname: 'Flower Pot', brand: 'Standard', cases: 4, per_case: 10 }],
+      bill_number: 'BILL-12',
+      extra_charges: { is_direct_bill: false, from_challan: false },
+      from_challan: false,
+    }]],
+    [/FROM public\.stock_reservations\s+WHERE status = 'active'/, () => [{ id: 3, stock_id: 7, remaining_cases: 4 }]],
+    [/SELECT current_cases - reserved_cases AS available, product_type FROM public\.stock/, () => [{ available: 10, product_type: 'pots' }]],
+  ];
+
+  const res = mockRes();
+  await booking.editBooking({
+    params: { id: '12' },
+    body: {
+      customer_name: 'Ravi Traders', to: 'Madurai', through: 'Lorry',
+      items: [{ id: 7, productname: 'Flower Pot', brand: 'Standard', cases: 6, per_case: 10, rate_per_box: 100 }],
+    },
+    user: { username: 'admin', type: 'admin' },
+  }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  const reserved = ran(/INSERT INTO public\.stock_reservations/);
+  assert.deepStrictEqual(reserved.map(q => [q.params[0], q.params[1], q.params[2], q.params[3]]), [[7, '12', 0, 6]]);
+  assert.strictEqual(ran(/SET current_cases = current_cases/).length, 0);
+  assert.strictEqual(ran(/INSERT INTO public\.stock_history/).length, 0);
+  assert.strictEqual(ran(/FROM public\.stock_batches/).length, 0);
+});
+
+test('agents cannot override the list price', async () => {
+  const res = mockRes();
+  await booking.createBooking({
+    body: {
+      customer_name: 'Ravi Traders', to: 'Madurai', through: 'Lorry',
+      items: [{ id: 7, productname: 'Flower Pot', cases: 1, per_case: 10, rate_per_box: 1, rate_override: true }],
+    },
+    user: { username: 'ravi', type: 'agent' },
+  }, res);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(queries.length, 0);
+});
@@ -0,0 +1,132 @@
+// test/productType.test.js
+// Hostile product_type values must be turned away with a 400 before any SQL is sent.
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Pool } = require('pg');
+const ExcelJS = require('exceljs');
+
+// Every query is recorded instead of reaching a database; `registered` plays public.products
+const queries = [];
+const params = [];
+let registered = [];
+const fakeClient = {
+  query: async (text, values = []) => {
+    const sql = typeof text === 'string' ? text : text.text;
+    queries.push(sql);
+    params.push(values);
+    if (/SELECT product_type FROM public\.products/.test(sql)) {
+      const rows = registered
+        .filter(t => t === values[0] || t.toLowerCase().replace(/\s+/g, '_') === values[1])
+        .map(product_type => ({ product_type }));
+      return { rows, rowCount: rows.length };
+    }
+    return { rows: [], rowCount: 0 };
+  },
+  release: () => {},
+};
+Pool.prototype.query = fakeClient.query;
+Pool.prototype.connect = async () => fakeClient;
+
+const { ensureCatalog } = require('../utils/catalog');
+const inventory = require('../Controller/Inventory.controller');
+
+const HOSTILE_TYPES = [
+  `sky_shots"; DROP TABLE public.product_catalog; --`,
+  `sky_shots'; DELETE FROM public.stock; --`,
+  'sky_shots;',
+  'pg_catalog.pg_authid',
+  'information_schema.tables',
+  'public"."user',
+];
+
+const mockRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = res.json;
+  return res;
+};
+
+const workbookWithType = async (productType) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.addRow(['product_type', 'productname', 'brand', 'price', 'per_case']);
+  sheet.addRow([productType, 'Flower Pot', 'Standard', 120, 10]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+before(async () => {
+  // The catalog schema is set up once per process; keep it out of the per-request counts
+  await ensureCatalog();
+});
+
+beforeEach(() => {
+  queries.length = 0;
+  params.length = 0;
+  registered = [];
+});
+
+for (const productType of HOSTILE_TYPES) {
+  test(`GET /products/:productType rejects ${JSON.stringify(productType)}`, async () => {
+    const res = mockRes();
+    await inventory.getProductsByType({ params: { productType } }, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(queries, []);
+  });
+
+  test(`PUT /products/:tableName/:id rejects ${JSON.stringify(productType)}`, async () => {
+    const res = mockRes();
+    await inventory.updateProduct({
+      params: { tableName: productType, id: '1' },
+      body: { productname: 'Flower Pot', price: 120, per_case: 10, brand: 'Standard' },
+    }, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(queries, []);
+  });
+
+  test(`DELETE /products/:tableName/:id rejects ${JSON.stringify(productType)}`, async () => {
+    const res = mockRes();
+    await inventory.deleteProduct({ params: { tableName: productType, id: '1' } }, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(queries, []);
+  });
+
+  test(`POST /products/import rejects ${JSON.stringify(productType)}`, async () => {
+    const res = mockRes();
+    await inventory.importProducts({
+      query: {},
+      body: {},
+      file: { buffer: await workbookWithType(productType) },
+    }, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.errors.length, 1);
+    assert.deepStrictEqual(queries, []);
+  });
+}
+
+test('non-numeric product ids are rejected before any query', async () => {
+  const res = mockRes();
+  await inventory.deleteProduct({ params: { tableName: 'sky_shots', id: '1 OR 1=1' } }, res);
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(queries, []);
+});
+
+test('a well-formed but unregistered type only reaches the parameterised registry lookup', async () => {
+  const res = mockRes();
+  await inventory.getProductsByType({ params: { productType: 'pg_authid' } }, res);
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(queries.length, 1);
+  assert.match(queries[0], /FROM public\.products/);
+  assert.doesNotMatch(queries[0], /pg_authid/);
+  assert.deepStrictEqual(params[0], ['pg_authid', 'pg_authid']);
+});
+
+test('a case and underscore variant resolves to the registered type', async () => {
+  registered = ['Sky Shots'];
+  const res = mockRes();
+  await inventory.getProductsByType({ params: { productType: 'sky_SHOTS' } }, res);
+  assert.strictEqual(res.statusCode, 200);
+  const listing = queries.findIndex(q => /FROM public\.product_catalog/.test(q));
+  assert.notStrictEqual(listing, -1);
+  assert.deepStrictEqual(params[listing], ['sky_shots']);
+});
@@ -0,0 +1,306 @@
+// utils/catalog.js
+const { Pool } = require('pg');
+const format = require('pg-format');
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+});
+
+// "Sky Shots" -> "sky_shots": the key the old per-type tables were named by
+const typeKey = (productType) => String(productType || '').trim().toLowerCase().replace(/\s+/g, '_');
+
+// Product types are plain names ("Sky Shots", "2-sound", "fancy_&_gift"); anything else — quotes, ';',
+// "schema.table" — is rejected up front without touching the database
+const isTypeName = (productType) =>
+  typeof productType === 'string' && productType.trim().length <= 100 && /^[\p{L}\p{N}][\p{L}\p{N} _&-]*$/u.test(productType.trim());
+
+// Same normalisation in SQL, for matching stock rows (which carry the raw product_type) to the catalog
+const typeKeySql = (column) => `LOWER(REGEXP_REPLACE(TRIM(${column}), '\\s+', '_', 'g'))`;
+
+// Folds every legacy public.<type> table into public.product_catalog. Runs once; the old tables are left in place.
+const foldTypeTables = async (client) => {
+  const done = await client.query(
+    'SELECT 1 FROM public.catalog_migrations WHERE name = $1',
+    ['fold_type_tables']
+  );
+  if (done.rows.length) return;
+
+  const types = await client.query('SELECT DISTINCT product_type FROM public.products');
+  for (const { product_type } of types.rows) {
+    const table = typeKey(product_type);
+    const exists = await client.query('SELECT to_regclass($1) AS reg', [format('public.%I', table)]);
+    if (!exists.rows[0].reg) continue;
+
+    await client.query(
+      format(
+        `INSERT INTO public.product_catalog (product_type, productname, brand, price, per_case)
+         SELECT $1, productname, brand, price, per_case FROM public.%I
+         ON CONFLICT DO NOTHING`,
+        table
+      ),
+      [product_type]
+    );
+  }
+
+  await client.query('INSERT INTO public.catalog_migrations (name) VALUES ($1)', ['fold_type_tables']);
+};
+
+let catalogReady = null;
+const ensureCatalog = () => {
+  if (!catalogReady) {
+    catalogReady = (async () => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        // Serialise concurrent first requests so the migration only runs once
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('product_catalog'))");
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.product_catalog (
+            id BIGSERIAL PRIMARY KEY,
+            product_type VARCHAR(100) NOT NULL,
+            productname TEXT NOT NULL,
+            brand TEXT NOT NULL,
+            price NUMERIC(10,2) NOT NULL,
+            per_case INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query('ALTER TABLE public.product_catalog ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(20)');
+        // Purchase cost per unit, when known; used for stock valuation at cost
+        await client.query('ALTER TABLE public.product_catalog ADD COLUMN IF NOT EXISTS cost_price NUMERIC(10,2)');
+        await client.query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS product_catalog_unique_idx
+          ON public.product_catalog (product_type, LOWER(productname), LOWER(brand))
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.catalog_migrations (
+            name VARCHAR(100) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.product_price_history (
+            id BIGSERIAL PRIMARY KEY,
+            product_id BIGINT NOT NULL REFERENCES public.product_catalog(id) ON DELETE CASCADE,
+            price NUMERIC(10,2) NOT NULL,
+            effective_from DATE NOT NULL,
+            effective_to DATE NULL,
+            source VARCHAR(30),
+            changed_by VARCHAR(100),
+            changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          CREATE INDEX IF NOT EXISTS product_price_history_product_idx
+          ON public.product_price_history (product_id, effective_from)
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.price_lists (
+            id BIGSERIAL PRIMARY KEY,
+            name VARCHAR(150) NOT NULL UNIQUE,
+            effective_from DATE NOT NULL,
+            effective_to DATE NULL,
+            notes TEXT,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.price_list_items (
+            price_list_id BIGINT NOT NULL REFERENCES public.price_lists(id) ON DELETE CASCADE,
+            product_id BIGINT NOT NULL REFERENCES public.product_catalog(id) ON DELETE CASCADE,
+            price NUMERIC(10,2) NOT NULL,
+            PRIMARY KEY (price_list_id, product_id)
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.price_revisions (
+            id BIGSERIAL PRIMARY KEY,
+            brand TEXT,
+            product_type VARCHAR(100),
+            mode VARCHAR(10) NOT NULL CHECK (mode IN ('percent', 'fixed')),
+            value NUMERIC(10,2) NOT NULL,
+            rounding VARCHAR(10) NOT NULL DEFAULT 'none',
+            round_to NUMERIC(10,2) NOT NULL DEFAULT 1,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            undone_at TIMESTAMP NULL,
+            undone_by VARCHAR(100)
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.price_revision_items (
+            revision_id BIGINT NOT NULL REFERENCES public.price_revisions(id) ON DELETE CASCADE,
+            product_id BIGINT NOT NULL REFERENCES public.product_catalog(id) ON DELETE CASCADE,
+            old_price NUMERIC(10,2) NOT NULL,
+            new_price NUMERIC(10,2) NOT NULL,
+            PRIMARY KEY (revision_id, product_id)
+          )
+        `);
+        // ABC class of every catalog product for each classified season (see GodownAnalytics)
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.product_abc_classes (
+            season VARCHAR(50) NOT NULL,
+            product_id BIGINT NOT NULL REFERENCES public.product_catalog(id) ON DELETE CASCADE,
+            abc_class CHAR(1) NOT NULL CHECK (abc_class IN ('A', 'B', 'C')),
+            sales_value NUMERIC(14,2) NOT NULL DEFAULT 0,
+            outtake_cases INTEGER NOT NULL DEFAULT 0,
+            share NUMERIC(7,3) NOT NULL DEFAULT 0,
+            cumulative_share NUMERIC(7,3) NOT NULL DEFAULT 0,
+            rank INTEGER NOT NULL,
+            from_date DATE NOT NULL,
+            to_date DATE NOT NULL,
+            classified_by VARCHAR(100),
+            classified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (season, product_id)
+          )
+        `);
+        await foldTypeTables(client);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        catalogReady = null;
+        throw err;
+      } finally {
+        client.release();
+      }
+    })();
+  }
+  return catalogReady;
+};
+
+// Maps a user-supplied type (route param or body) onto the registered value in public.products.
+// Returns null for anything not registered, so callers can reject it before it reaches a query.
+const resolveProductType = async (productType, db = pool) => {
+  if (!isTypeName(productType)) return null;
+  const key = typeKey(productType);
+  const result = await db.query(
+    `SELECT product_type FROM public.products
+     WHERE product_type = $1 OR ${typeKeySql('product_type')} = $2
+     ORDER BY (product_type = $1) DESC
+     LIMIT 1`,
+    [String(productType).trim(), key]
+  );
+  return result.rows.length ? result.rows[0].product_type : null;
+};
+
+// Class of a catalog product in the latest season (by its end date, not when it was classified), for product listings
+const ABC_CLASS_SQL = (productId) => `(
+  SELECT c.abc_class FROM public.product_abc_classes c
+  WHERE c.product_id = ${productId}
+  ORDER BY c.to_date DESC, c.classified_at DESC
+  LIMIT 1)`;
+
+const isValidId = (id) => /^\d+$/.test(String(id));
+
+// Calendar dates (bill dates, price effective dates) are those of the business, not of UTC: a bill
+// raised just after midnight in Sivakasi belongs to that day. en-CA formats as YYYY-MM-DD.
+const BUSINESS_TIME_ZONE = process.env.BUSINESS_TZ || 'Asia/Kolkata';
+const businessDate = new Intl.DateTimeFormat('en-CA', {
+  timeZone: BUSINESS_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+});
+const today = () => businessDate.format(new Date());
+
+/* ──────────────────────  PRICE HISTORY  ────────────────────── */
+// Call inside the transaction that changes product_catalog.price.
+// History rows are [effective_from, effective_to) intervals; the first change also stores the
+// price the product had before, open-ended into the past, so older bills can still be explained.
+const recordPriceChange = async (db, productId, oldPrice, newPrice, { effectiveFrom, source = 'manual', changedBy = null } = {}) => {
+  if (parseFloat(oldPrice) === parseFloat(newPrice)) return;
+  const from = effectiveFrom || today();
+
+  const existing = await db.query(
+    'SELECT 1 FROM public.product_price_history WHERE product_id = $1 LIMIT 1',
+    [productId]
+  );
+  if (!existing.rows.length && oldPrice !== null && oldPrice !== undefined) {
+    await db.query(
+      `INSERT INTO public.product_price_history (product_id, price, effective_from, source, changed_by)
+       VALUES ($1, $2, '-infinity', 'baseline', $3)`,
+      [productId, oldPrice, changedBy]
+    );
+  }
+
+  await db.query(
+    `UPDATE public.product_price_history
+     SET effective_to = $2::DATE
+     WHERE product_id = $1 AND effective_to IS NULL`,
+    [productId, from]
+  );
+  await db.query(
+    `INSERT INTO public.product_price_history (product_id, price, effective_from, source, changed_by)
+     VALUES ($1, $2, $3::DATE, $4, $5)`,
+    [productId, newPrice, from, source, changedBy]
+  );
+};
+
+// Returns an error message when a price change cannot take effect on the given date, else null.
+// Future prices belong in a price list; back-dating is only allowed up to the last recorded change.
+const checkEffectiveDate = async (db, productId, date) => {
+  if (!date) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) return 'effective_from must be YYYY-MM-DD';
+  if (date > today()) return 'effective_from cannot be in the future, use a price list instead';
+
+  const result = await db.query(
+    `SELECT MAX(effective_from)::TEXT AS last FROM public.product_price_history
+     WHERE product_id = $1 AND effective_from > '-infinity'`,
+    [productId]
+  );
+  const last = result.rows[0].last;
+  if (last && date < last) return `effective_from cannot be before the last price change (${last})`;
+  return null;
+};
+
+// Price valid on a date: a price list covering the date wins (or the one asked for), then the
+// price history, then the current catalog price. Price list effective_to is inclusive.
+const PRICE_ON_SQL = `
+  SELECT COALESCE(
+    (SELECT pli.price
+     FROM public.price_list_items pli
+     JOIN public.price_lists pl ON pl.id = pli.price_list_id
+     WHERE pli.product_id = $1
+       AND ($3::BIGINT IS NULL OR pl.id = $3::BIGINT)
+       AND pl.effective_from <= $2::DATE
+       AND (pl.effective_to IS NULL OR pl.effective_to >= $2::DATE)
+     ORDER BY pl.effective_from DESC, pl.id DESC
+     LIMIT 1),
+    (SELECT h.price
+     FROM public.product_price_history h
+     WHERE h.product_id = $1
+       AND h.effective_from <= $2::DATE
+       AND (h.effective_to IS NULL OR h.effective_to > $2::DATE)
+     ORDER BY h.effective_from DESC
+     LIMIT 1),
+    (SELECT price FROM public.product_catalog WHERE id = $1)
+  ) AS price`;
+
+const priceOn = async (db, productId, date, priceListId = null) => {
+  const result = await db.query(PRICE_ON_SQL, [productId, date || today(), priceListId]);
+  const price = result.rows[0]?.price;
+  return price === null || price === undefined ? null : parseFloat(price);
+};
+
+// Catalog product behind a public.stock row (stock only carries type / name / brand)
+const productForStock = async (db, stockId) => {
+  const result = await db.query(
+    `SELECT p.id, p.product_type, p.price, p.per_case
+     FROM public.stock s
+     JOIN public.product_catalog p
+       ON ${typeKeySql('p.product_type')} = ${typeKeySql('s.product_type')}
+       AND LOWER(p.productname) = LOWER(s.productname)
+       AND LOWER(p.brand) = LOWER(s.brand)
+     WHERE s.id = $1`,
+    [stockId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  ensureCatalog, typeKey, typeKeySql, isTypeName, resolveProductType, isValidId, today, ABC_CLASS_SQL,
+  recordPriceChange, checkEffectiveDate, priceOn, productForStock
+};
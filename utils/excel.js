@@ -0,0 +1,68 @@
+// utils/excel.js
+const ExcelJS = require('exceljs');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// "Product Name" / "PRODUCT_NAME" / "product-name" all map to "product_name"; "productname" (no separator)
+// stays "productname", so readers that accept both spellings must keep checking both keys
+const headerKey = (value) => String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Unwraps ExcelJS cell objects (formulas, rich text, hyperlinks) to a plain value
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return value.text;
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    return null;
+  }
+  if (typeof value === 'string') return value.trim() === '' ? null : value.trim();
+  return value;
+};
+
+// Reads the first worksheet of an uploaded .xlsx buffer.
+// Returns [{ row, values }] where row is the 1-based sheet row number and values is keyed by header.
+const readSheetRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => { headers[col] = headerKey(cellValue(cell.value)); });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    let empty = true;
+    headers.forEach((key, col) => {
+      if (!key) return;
+      const v = cellValue(row.getCell(col).value);
+      if (v !== null) empty = false;
+      values[key] = v;
+    });
+    if (!empty) rows.push({ row: rowNumber, values });
+  });
+  return rows;
+};
+
+// Bold grey header row, as used by the existing godown export
+const styleHeader = (worksheet) => {
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFCCCCCC' },
+  };
+};
+
+const sendWorkbook = async (res, workbook, filename) => {
+  res.setHeader('Content-Type', XLSX_MIME);
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+module.exports = { readSheetRows, styleHeader, sendWorkbook, XLSX_MIME };
@@ -0,0 +1,481 @@
+// utils/stock.js
+const { Pool } = require('pg');
+const { ensureCatalog, typeKeySql, today } = require('./catalog');
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+});
+
+// stock_history.action values; adj_* rows are adjustments and are not receipts or sales
+const STOCK_ACTIONS = ['added', 'taken', 'adj_in', 'adj_out'];
+const ACTION_CHECK = `CHECK (action IN (${STOCK_ACTIONS.map(a => `'${a}'`).join(', ')}))`;
+
+// A history row's effect on current_cases: receipts and adj_in add, sales and adj_out remove
+const SIGNED_CASES = (h) => `(CASE WHEN ${h}.action IN ('added', 'adj_in') THEN ${h}.cases ELSE -${h}.cases END)`;
+
+// Days a booking holds its reserved cases before they are released automatically
+const RESERVATION_DAYS = parseInt(process.env.RESERVATION_DAYS || '7', 10);
+
+// Adjustment reason codes and the direction each one is allowed to move stock in
+const ADJUSTMENT_REASONS = {
+  damage: ['out'],
+  theft: ['out'],
+  sample: ['out'],
+  found: ['in'],
+  count_correction: ['in', 'out'],
+};
+
+// Godown / stock / history tables plus the columns movements other than plain add / take need
+let stockReady = null;
+const ensureStockSchema = () => {
+  if (!stockReady) {
+    stockReady = (async () => {
+      // reorder_levels points at product_catalog
+      await ensureCatalog();
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('stock_schema'))");
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.godown (
+            id BIGSERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE
+          )
+        `);
+        await client.query(`
+          ALTER TABLE public.godown
+            ADD COLUMN IF NOT EXISTS address TEXT,
+            ADD COLUMN IF NOT EXISTS capacity_cases INTEGER CHECK (capacity_cases >= 0),
+            ADD COLUMN IF NOT EXISTS licence_no VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS licence_expiry DATE,
+            ADD COLUMN IF NOT EXISTS incharge_name VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS incharge_phone VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP NULL,
+            ADD COLUMN IF NOT EXISTS archived_by VARCHAR(100)
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.brand (
+            id BIGSERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            agent_name VARCHAR(100)
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock (
+            id BIGSERIAL PRIMARY KEY,
+            godown_id INTEGER REFERENCES public.godown(id) ON DELETE CASCADE,
+            product_type VARCHAR(100) NOT NULL,
+            productname VARCHAR(255) NOT NULL,
+            brand VARCHAR(100) NOT NULL,
+            current_cases INTEGER NOT NULL DEFAULT 0,
+            per_case INTEGER NOT NULL,
+            date_added TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_taken_date TIMESTAMP NULL,
+            taken_cases INTEGER DEFAULT 0,
+            CONSTRAINT unique_stock_entry UNIQUE (godown_id, product_type, productname, brand)
+          )
+        `);
+        await client.query('ALTER TABLE public.stock ADD COLUMN IF NOT EXISTS brand_id INTEGER REFERENCES public.brand(id)');
+        await client.query('ALTER TABLE public.stock ADD COLUMN IF NOT EXISTS reserved_cases INTEGER NOT NULL DEFAULT 0');
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_history (
+            id BIGSERIAL PRIMARY KEY,
+            stock_id INTEGER REFERENCES public.stock(id) ON DELETE CASCADE,
+            action VARCHAR(10) ${ACTION_CHECK},
+            cases INTEGER NOT NULL,
+            per_case_total INTEGER NOT NULL,
+            date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          ALTER TABLE public.stock_history
+            ADD COLUMN IF NOT EXISTS customer_name VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS agent_name VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS reference VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS created_by VARCHAR(100)
+        `);
+        // Tables created before adjustments existed only allow 'added' / 'taken'
+        const check = await client.query(
+          `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+           WHERE conrelid = 'public.stock_history'::regclass AND conname = 'stock_history_action_check'`
+        );
+        if (!check.rows.length || !check.rows[0].def.includes('adj_in')) {
+          await client.query('ALTER TABLE public.stock_history DROP CONSTRAINT IF EXISTS stock_history_action_check');
+          await client.query(`ALTER TABLE public.stock_history ADD CONSTRAINT stock_history_action_check ${ACTION_CHECK}`);
+        }
+        await client.query('CREATE INDEX IF NOT EXISTS stock_history_reference_idx ON public.stock_history (reference)');
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_transfers (
+            id BIGSERIAL PRIMARY KEY,
+            transfer_number VARCHAR(50) UNIQUE,
+            from_godown_id INTEGER REFERENCES public.godown(id) ON DELETE SET NULL,
+            to_godown_id INTEGER REFERENCES public.godown(id) ON DELETE SET NULL,
+            items JSONB NOT NULL DEFAULT '[]',
+            notes TEXT,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_adjustments (
+            id BIGSERIAL PRIMARY KEY,
+            stock_id INTEGER REFERENCES public.stock(id) ON DELETE CASCADE,
+            direction VARCHAR(3) NOT NULL CHECK (direction IN ('in', 'out')),
+            cases INTEGER NOT NULL CHECK (cases > 0),
+            reason VARCHAR(30) NOT NULL,
+            notes TEXT,
+            status VARCHAR(10) NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected')),
+            reference VARCHAR(50),
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            reviewed_by VARCHAR(100),
+            reviewed_at TIMESTAMP NULL,
+            review_note TEXT
+          )
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_counts (
+            id BIGSERIAL PRIMARY KEY,
+            godown_id INTEGER NOT NULL REFERENCES public.godown(id) ON DELETE CASCADE,
+            status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'cancelled')),
+            notes TEXT,
+            opened_by VARCHAR(100),
+            opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            closed_by VARCHAR(100),
+            closed_at TIMESTAMP NULL
+          )
+        `);
+        // One open count per godown
+        await client.query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS stock_counts_open_idx
+          ON public.stock_counts (godown_id) WHERE status = 'open'
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_count_lines (
+            count_id BIGINT NOT NULL REFERENCES public.stock_counts(id) ON DELETE CASCADE,
+            stock_id INTEGER NOT NULL REFERENCES public.stock(id) ON DELETE CASCADE,
+            system_cases INTEGER NOT NULL,
+            counted_cases INTEGER NULL,
+            counted_by VARCHAR(100),
+            counted_at TIMESTAMP NULL,
+            PRIMARY KEY (count_id, stock_id)
+          )
+        `);
+        // godown_id NULL = minimum for the product across all godowns
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.reorder_levels (
+            id BIGSERIAL PRIMARY KEY,
+            product_id BIGINT NOT NULL REFERENCES public.product_catalog(id) ON DELETE CASCADE,
+            godown_id INTEGER NULL REFERENCES public.godown(id) ON DELETE CASCADE,
+            min_cases INTEGER NOT NULL CHECK (min_cases >= 0),
+            reorder_cases INTEGER NOT NULL DEFAULT 0 CHECK (reorder_cases >= 0),
+            updated_by VARCHAR(100),
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS reorder_levels_scope_idx
+          ON public.reorder_levels (product_id, COALESCE(godown_id, 0))
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_alerts (
+            id BIGSERIAL PRIMARY KEY,
+            level_id BIGINT NOT NULL REFERENCES public.reorder_levels(id) ON DELETE CASCADE,
+            product_id BIGINT NOT NULL,
+            godown_id INTEGER NULL,
+            on_hand INTEGER NOT NULL,
+            min_cases INTEGER NOT NULL,
+            status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+            raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            resolved_at TIMESTAMP NULL
+          )
+        `);
+        await client.query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS stock_alerts_open_idx
+          ON public.stock_alerts (level_id) WHERE status = 'open'
+        `);
+        // item_index is the position in bookings.items, the same index dispatch_logs.product_index uses
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_reservations (
+            id BIGSERIAL PRIMARY KEY,
+            stock_id INTEGER NOT NULL REFERENCES public.stock(id) ON DELETE CASCADE,
+            booking_id BIGINT NOT NULL,
+            item_index INTEGER NOT NULL,
+            reserved_cases INTEGER NOT NULL CHECK (reserved_cases > 0),
+            remaining_cases INTEGER NOT NULL CHECK (remaining_cases >= 0),
+            status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'fulfilled', 'released', 'expired')),
+            expires_at TIMESTAMP NOT NULL,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            closed_at TIMESTAMP NULL
+          )
+        `);
+        await client.query(`
+          CREATE INDEX IF NOT EXISTS stock_reservations_booking_idx
+          ON public.stock_reservations (booking_id, item_index)
+        `);
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_imports (
+            id BIGSERIAL PRIMARY KEY,
+            reference VARCHAR(50) UNIQUE,
+            file_name TEXT,
+            row_count INTEGER NOT NULL DEFAULT 0,
+            total_cases INTEGER NOT NULL DEFAULT 0,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        // Cases not covered by any batch (stock received before batches existed) are "unbatched"
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS public.stock_batches (
+            id BIGSERIAL PRIMARY KEY,
+            stock_id INTEGER NOT NULL REFERENCES public.stock(id) ON DELETE CASCADE,
+            batch_no VARCHAR(50) NOT NULL,
+            mfg_date DATE NULL,
+            cases_received INTEGER NOT NULL DEFAULT 0,
+            cases_remaining INTEGER NOT NULL DEFAULT 0 CHECK (cases_remaining >= 0),
+            received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        await client.query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS stock_batches_unique_idx
+          ON public.stock_batches (stock_id, batch_no)
+        `);
+        await client.query('ALTER TABLE public.stock_adjustments ADD COLUMN IF NOT EXISTS count_id BIGINT REFERENCES public.stock_counts(id) ON DELETE SET NULL');
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        stockReady = null;
+        throw err;
+      } finally {
+        client.release();
+      }
+    })();
+  }
+  return stockReady;
+};
+
+// Stock rows that hold a catalog product
+const STOCK_MATCHES_PRODUCT = (s, p) => `
+  ${typeKeySql(`${s}.product_type`)} = ${typeKeySql(`${p}.product_type`)}
+  AND LOWER(${s}.productname) = LOWER(${p}.productname)
+  AND LOWER(${s}.brand) = LOWER(${p}.brand)`;
+
+// ABC class (latest season by end date) of the catalog product behind stock row s
+const STOCK_ABC_CLASS = (s) => `(
+  SELECT c.abc_class FROM public.product_abc_classes c
+  JOIN public.product_catalog p ON p.id = c.product_id
+  WHERE ${STOCK_MATCHES_PRODUCT(s, 'p')}
+  ORDER BY c.to_date DESC, c.classified_at DESC
+  LIMIT 1)`;
+
+// Opens an alert the first time a reorder level's stock drops below its minimum and resolves it once
+// stock is back at or above it. Pass stockIds to only look at the products behind those rows.
+const refreshStockAlerts = async (db, stockIds = null) => {
+  await db.query(
+    `WITH on_hand AS (
+       SELECT
+         r.id AS level_id, r.product_id, r.godown_id, r.min_cases,
+         COALESCE((
+           SELECT SUM(s.current_cases) FROM public.stock s
+           WHERE ${STOCK_MATCHES_PRODUCT('s', 'p')}
+             AND (r.godown_id IS NULL OR s.godown_id = r.godown_id)
+         ), 0)::INT AS cases
+       FROM public.reorder_levels r
+       JOIN public.product_catalog p ON p.id = r.product_id
+       WHERE $1::BIGINT[] IS NULL OR EXISTS (
+         SELECT 1 FROM public.stock s WHERE s.id = ANY($1::BIGINT[]) AND ${STOCK_MATCHES_PRODUCT('s', 'p')}
+       )
+     ),
+     raised AS (
+       INSERT INTO public.stock_alerts (level_id, product_id, godown_id, on_hand, min_cases)
+       SELECT level_id, product_id, godown_id, cases, min_cases FROM on_hand
+       WHERE cases < min_cases
+       ON CONFLICT (level_id) WHERE status = 'open' DO NOTHING
+     )
+     UPDATE public.stock_alerts a
+     SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+     FROM on_hand o
+     WHERE a.level_id = o.level_id AND a.status = 'open' AND o.cases >= o.min_cases`,
+    [stockIds ? stockIds.map(String) : null]
+  );
+};
+
+// One stock_history row. reference links the rows that belong to the same document (TR-12, ...)
+const recordMovement = async (db, { stockId, action, cases, perCase, reference = null, createdBy = null, customerName = null }) => {
+  await db.query(
+    `INSERT INTO public.stock_history
+     (stock_id, action, cases, per_case_total, reference, created_by, customer_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [stockId, action, cases, cases * perCase, reference, createdBy, customerName]
+  );
+  await refreshStockAlerts(db, [stockId]);
+};
+
+// Adds cases to the godown's row for the product, creating the row when the godown has none yet
+const addToStockRow = async (db, godownId, { product_type, productname, brand, brand_id = null, per_case }, cases) => {
+  const result = await db.query(
+    `INSERT INTO public.stock
+     (godown_id, product_type, productname, brand, brand_id, current_cases, per_case)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT ON CONSTRAINT unique_stock_entry DO UPDATE
+       SET current_cases = public.stock.current_cases + EXCLUDED.current_cases,
+           brand_id = COALESCE(public.stock.brand_id, EXCLUDED.brand_id),
+           date_added = CURRENT_TIMESTAMP
+     RETURNING id, current_cases`,
+    [godownId, product_type, productname, brand, brand_id, cases, per_case]
+  );
+  return result.rows[0];
+};
+
+/* ──────────────────────  BATCHES  ────────────────────── */
+// Returns an error message for a bad { batch_no, mfg_date } pair, else null. Both are optional.
+const checkBatch = ({ batch_no, mfg_date } = {}) => {
+  if (mfg_date && !batch_no) return 'batch_no is required when mfg_date is given';
+  if (batch_no && String(batch_no).trim().length > 50) return 'batch_no is too long';
+  if (mfg_date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(mfg_date) || isNaN(new Date(mfg_date).getTime())) return 'mfg_date must be YYYY-MM-DD';
+    if (mfg_date > today()) return 'mfg_date cannot be in the future';
+  }
+  return null;
+};
+
+// Books received cases against a batch of the stock row. Without a batch_no the cases stay unbatched.
+const addToBatch = async (db, stockId, { batch_no, mfg_date = null } = {}, cases) => {
+  if (!batch_no) return null;
+  const result = await db.query(
+    `INSERT INTO public.stock_batches (stock_id, batch_no, mfg_date, cases_received, cases_remaining)
+     VALUES ($1, $2, $3, $4, $4)
+     ON CONFLICT (stock_id, batch_no) DO UPDATE
+       SET cases_received = public.stock_batches.cases_received + EXCLUDED.cases_received,
+           cases_remaining = public.stock_batches.cases_remaining + EXCLUDED.cases_remaining,
+           mfg_date = COALESCE(public.stock_batches.mfg_date, EXCLUDED.mfg_date)
+     RETURNING id`,
+    [stockId, String(batch_no).trim(), mfg_date || null, cases]
+  );
+  return result.rows[0].id;
+};
+
+// Call BEFORE public.stock.current_cases is reduced. Takes `cases` from the chosen batch, or FIFO:
+// unbatched cases first (they are the oldest), then batches by manufacturing / receipt date.
+// Returns { allocations: [{ batch_id, batch_no, mfg_date, cases }] } or { error }.
+const consumeBatches = async (db, stockId, cases, batchId = null) => {
+  const stock = await db.query('SELECT current_cases FROM public.stock WHERE id = $1 FOR UPDATE', [stockId]);
+  if (!stock.rows.length) return { error: 'Stock entry not found' };
+
+  const batches = await db.query(
+    `SELECT id, batch_no, mfg_date::TEXT AS mfg_date, cases_remaining
+     FROM public.stock_batches
+     WHERE stock_id = $1 AND cases_remaining > 0
+     ORDER BY COALESCE(mfg_date, received_at::DATE), id
+     FOR UPDATE`,
+    [stockId]
+  );
+
+  let picked;
+  if (batchId) {
+    picked = batches.rows.filter(b => String(b.id) === String(batchId));
+    if (!picked.length) return { error: 'Batch not found for this stock entry' };
+    if (picked[0].cases_remaining < cases) return { error: `Only ${picked[0].cases_remaining} cases left in batch ${picked[0].batch_no}` };
+  } else {
+    const batched = batches.rows.reduce((sum, b) => sum + b.cases_remaining, 0);
+    const unbatched = Math.max(stock.rows[0].current_cases - batched, 0);
+    // Nothing is taken from the batches unless the whole quantity can be covered
+    if (cases > unbatched + batched) return { error: `Only ${unbatched + batched} cases on hand` };
+    cases -= Math.min(unbatched, cases);
+    picked = batches.rows;
+  }
+
+  const allocations = [];
+  for (const b of picked) {
+    if (cases <= 0) break;
+    const take = Math.min(cases, b.cases_remaining);
+    await db.query('UPDATE public.stock_batches SET cases_remaining = cases_remaining - $1 WHERE id = $2', [take, b.id]);
+    allocations.push({ batch_id: b.id, batch_no: b.batch_no, mfg_date: b.mfg_date, cases: take });
+    cases -= take;
+  }
+  return { allocations };
+};
+
+/* ──────────────────────  RESERVATIONS  ────────────────────── */
+// public.stock.reserved_cases is the sum of remaining_cases over the row's active reservations.
+// Every change to a reservation goes through these helpers so the two never drift apart.
+
+// Lock the stock row (FOR UPDATE) and check availability before calling this
+const reserveStock = async (db, { stockId, bookingId, itemIndex, cases, createdBy = null }) => {
+  await db.query(
+    `INSERT INTO public.stock_reservations
+     (stock_id, booking_id, item_index, reserved_cases, remaining_cases, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $4, CURRENT_TIMESTAMP + make_interval(days => $5::INT), $6)`,
+    [stockId, bookingId, itemIndex, cases, RESERVATION_DAYS, createdBy]
+  );
+  await db.query('UPDATE public.stock SET reserved_cases = reserved_cases + $1 WHERE id = $2', [cases, stockId]);
+};
+
+// Takes up to `cases` off the active reservations matched by `where` (oldest first).
+// cases = null closes them completely with the given status.
+const closeReservations = async (db, where, params, { cases = null, status }) => {
+  const active = await db.query(
+    `SELECT id, stock_id, remaining_cases FROM public.stock_reservations
+     WHERE status = 'active' AND ${where}
+     ORDER BY created_at, id
+     FOR UPDATE`,
+    params
+  );
+
+  let left = cases;
+  let released = 0;
+  for (const r of active.rows) {
+    if (left !== null && left <= 0) break;
+    const take = left === null ? r.remaining_cases : Math.min(left, r.remaining_cases);
+    const remaining = r.remaining_cases - take;
+    await db.query(
+      `UPDATE public.stock_reservations
+       SET remaining_cases = $1,
+           status = CASE WHEN $1 = 0 THEN $2 ELSE status END,
+           closed_at = CASE WHEN $1 = 0 THEN CURRENT_TIMESTAMP ELSE closed_at END
+       WHERE id = $3`,
+      [remaining, status, r.id]
+    );
+    await db.query(
+      'UPDATE public.stock SET reserved_cases = GREATEST(reserved_cases - $1, 0) WHERE id = $2',
+      [take, r.stock_id]
+    );
+    if (left !== null) left -= take;
+    released += take;
+  }
+  return released;
+};
+
+const releaseBookingReservations = (db, bookingId, status = 'released') =>
+  closeReservations(db, 'booking_id = $1', [bookingId], { status });
+
+const fulfilReservation = (db, bookingId, itemIndex, cases) =>
+  closeReservations(db, 'booking_id = $1 AND item_index = $2', [bookingId, itemIndex], { cases, status: 'fulfilled' });
+
+// Expires reservations past expires_at; run by the sweep in server.js and before a booking reserves.
+// Runs in its own transaction so concurrent callers cannot release the same reservation twice.
+const expireReservations = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await closeReservations(client, 'expires_at < CURRENT_TIMESTAMP', [], { status: 'expired' });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  ensureStockSchema, recordMovement, addToStockRow, refreshStockAlerts, STOCK_MATCHES_PRODUCT, SIGNED_CASES, STOCK_ABC_CLASS,
+  reserveStock, releaseBookingReservations, fulfilReservation, expireReservations,
+  checkBatch, addToBatch, consumeBatches,
+  STOCK_ACTIONS, ADJUSTMENT_REASONS
+};
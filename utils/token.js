@@ -0,0 +1,44 @@
+// utils/token.js
+const jwt = require('jsonwebtoken');
+
+const ACCESS_SECRET = process.env.JWT_SECRET;
+const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '1h';
+const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+const ensureSecret = (secret) => {
+  if (!secret) throw new Error('JWT_SECRET is not configured');
+  return secret;
+};
+
+// Access token travels with every API call, refresh token is only sent to /api/refresh
+const issueTokens = (user) => {
+  // ver is bumped on disable / role change / password reset so older refresh tokens stop working
+  const payload = { username: user.username, type: user.type, ver: user.token_version || 0 };
+
+  const access_token = jwt.sign(payload, ensureSecret(ACCESS_SECRET), {
+    expiresIn: ACCESS_TTL,
+    subject: user.username,
+  });
+  const refresh_token = jwt.sign({ ...payload, token_use: 'refresh' }, ensureSecret(REFRESH_SECRET), {
+    expiresIn: REFRESH_TTL,
+    subject: user.username,
+  });
+
+  const { exp } = jwt.decode(access_token);
+  return { access_token, refresh_token, token_type: 'Bearer', expires_at: new Date(exp * 1000).toISOString() };
+};
+
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, ensureSecret(ACCESS_SECRET));
+  if (decoded.token_use === 'refresh') throw new Error('Refresh token cannot be used for API access');
+  return decoded;
+};
+
+const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, ensureSecret(REFRESH_SECRET));
+  if (decoded.token_use !== 'refresh') throw new Error('Not a refresh token');
+  return decoded;
+};
+
+module.exports = { issueTokens, verifyAccessToken, verifyRefreshToken };